@@ -0,0 +1,216 @@
+/**
+ * Benchmark the optimizer against the exhaustive optimum
+ *
+ * Generates (or loads) module inventories, runs the heuristic search on each several
+ * times with different seeds, and compares every run with the best combination found by
+ * checking all of them: how often the optimum was found, the fitness and ability score
+ * gaps, and the run time. The optimum is taken over the whole inventory, so modules the
+ * optimizer's candidate filter drops count against it too. A run's fitness and ability
+ * score are the best among its top 10 results, ranked by fitness.
+ *
+ * Usage: node benchmark.js [options]
+ *   --inventories <n>    Inventories to generate (default 5)
+ *   --modules <n>        Modules per generated inventory (default 60)
+ *   --runs <n>           Optimizer runs per inventory (default 3)
+ *   --seed <n>           Seed for inventory generation and runs (default 1)
+ *   --attrs <a,b,...>    Prioritized attributes (default none)
+ *   --strategies <a,b>   Search strategies: ga, annealing, tabu (default ga)
+ *   --budget <seconds>   Search each run for this long (default: fixed number of generations)
+ *   --stall <n>          Stop campaigns after n generations without improvement (default off)
+ *   --load <file>        Load inventories from a JSON file instead: a module list, or a list of them
+ *   --save <file>        Save the generated inventories as JSON, to replay them with --load
+ */
+
+// Keep the optimizer's info logs off the console; warnings and errors still show
+process.env.NODE_ENV = 'production';
+
+const fs = require('fs');
+const { ModuleOptimizer, calculateFitness, createRandom, DEFAULT_WEIGHTS } = require('./src/moduleOptimizer');
+const { ModuleInfo, ModulePart, ModuleCategory, MODULE_NAMES, MODULE_ATTR_IDS, ALL_ATTRIBUTES } = require('./src/moduleTypes');
+
+const SLOTS = 4;
+// Results each run returns; only these get the near-miss and level-up swap post-processing
+const TOP_N = 10;
+// Checking every combination of larger inventories takes too long to be useful
+const MAX_EXHAUSTIVE_COMBINATIONS = 10000000;
+
+function parseArgs(argv) {
+  const args = {
+    inventories: 5,
+    modules: 60,
+    runs: 3,
+    seed: 1,
+    attrs: [],
+    strategies: ['ga'],
+    budget: 0,
+    stall: 0,
+    load: null,
+    save: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(key in args) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    i++;
+    if (key === 'attrs' || key === 'strategies') {
+      args[key] = value.split(',').map(s => s.trim()).filter(Boolean);
+    } else if (key === 'load' || key === 'save') {
+      args[key] = value;
+    } else {
+      args[key] = Number(value);
+      if (!Number.isInteger(args[key]) || args[key] < 0) throw new Error(`--${key} must be a non-negative integer`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Generate a synthetic inventory: higher rarities carry more and larger attributes
+ */
+function generateInventory(count, random) {
+  const configIds = Object.keys(MODULE_NAMES).map(Number);
+  const modules = [];
+  for (let i = 0; i < count; i++) {
+    const configId = configIds[Math.floor(random() * configIds.length)];
+    const rarity = configId % 100; // 1 = Rare, 2 = Epic, 3-4 = Legendary
+    const partCount = Math.min(3, 1 + Math.floor(random() * 2) + (rarity >= 3 ? 1 : 0));
+    const names = new Set();
+    while (names.size < partCount) names.add(ALL_ATTRIBUTES[Math.floor(random() * ALL_ATTRIBUTES.length)]);
+    const parts = [...names].map(name => new ModulePart(MODULE_ATTR_IDS[name], name, 1 + Math.floor(random() * (4 + rarity * 2))));
+    modules.push(new ModuleInfo(MODULE_NAMES[configId], configId, 100000 + i, rarity, parts));
+  }
+  return modules;
+}
+
+/**
+ * Load inventories saved with --save, or exported in the same module format
+ */
+function loadInventories(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const lists = Array.isArray(json[0]) ? json : [json];
+  return lists.map(list => list.map(item => new ModuleInfo(
+    item.name,
+    item.configId,
+    item.uuid,
+    item.quality,
+    item.parts.map(p => new ModulePart(p.id, p.name, p.value))
+  )));
+}
+
+/**
+ * Check every combination for the highest fitness and the highest ability score
+ */
+function findOptimum(optimizer, modules, prioritizedAttrs) {
+  let bestFitness = -Infinity;
+  let bestScore = -Infinity;
+  const n = modules.length;
+  const combo = new Array(SLOTS);
+  const visit = (start, depth) => {
+    if (depth === SLOTS) {
+      const fitness = calculateFitness(combo, ModuleCategory.All, prioritizedAttrs);
+      if (fitness > bestFitness) bestFitness = fitness;
+      const [score] = optimizer.calculateCombatPower(combo);
+      if (score > bestScore) bestScore = score;
+      return;
+    }
+    for (let i = start; i <= n - (SLOTS - depth); i++) {
+      combo[depth] = modules[i];
+      visit(i + 1, depth + 1);
+    }
+  };
+  visit(0, 0);
+  return { bestFitness, bestScore };
+}
+
+function combinations(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+  return Math.round(result);
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const random = createRandom(args.seed);
+  const inventories = args.load
+    ? loadInventories(args.load)
+    : Array.from({ length: args.inventories }, () => generateInventory(args.modules, random));
+  if (args.save) {
+    fs.writeFileSync(args.save, JSON.stringify(inventories, null, 2), 'utf8');
+    console.log(`Saved ${inventories.length} inventories to ${args.save}`);
+  }
+
+  const prioritizedAttrs = args.attrs.length > 0 ? args.attrs : null;
+  console.log(`Strategies: ${args.strategies.join(', ')} · runs per inventory: ${args.runs} · prioritized: ${args.attrs.join(', ') || 'none'}\n`);
+
+  const runs = [];
+  for (let inv = 0; inv < inventories.length; inv++) {
+    const modules = inventories[inv];
+    const combinationCount = combinations(modules.length, SLOTS);
+    if (combinationCount > MAX_EXHAUSTIVE_COMBINATIONS) {
+      console.log(`Inventory ${inv + 1}: ${modules.length} modules, ${combinationCount} combinations - too many to check, skipped`);
+      continue;
+    }
+
+    const optimizer = new ModuleOptimizer();
+    const exhaustiveStart = Date.now();
+    const optimum = findOptimum(optimizer, modules, prioritizedAttrs);
+    const exhaustiveMs = Date.now() - exhaustiveStart;
+    console.log(`Inventory ${inv + 1}: ${modules.length} modules, ${combinationCount} combinations, ` +
+      `optimum fitness ${optimum.bestFitness.toFixed(1)}, best ability score ${optimum.bestScore} (${exhaustiveMs} ms)`);
+
+    for (let run = 0; run < args.runs; run++) {
+      // Force the heuristic search even on pools small enough to solve exactly
+      optimizer.exactMaxCombinations = 0;
+      const start = Date.now();
+      // The default weights rank results by fitness, so the best one found is among the top N
+      const solutions = await optimizer.optimizeModules(
+        modules, ModuleCategory.All, TOP_N, prioritizedAttrs, false, null,
+        {
+          seed: args.seed + run,
+          weightProfile: DEFAULT_WEIGHTS,
+          strategies: args.strategies,
+          timeBudgetMs: args.budget * 1000,
+          stallGenerations: args.stall,
+          dedupeLevels: false,
+          warmStart: false,
+        }
+      );
+      const ms = Date.now() - start;
+
+      const bestFitness = Math.max(-Infinity, ...solutions.map(s => calculateFitness(s.modules, ModuleCategory.All, prioritizedAttrs)));
+      const bestScore = Math.max(-Infinity, ...solutions.map(s => s.score));
+      const result = {
+        found: bestFitness >= optimum.bestFitness - 1e-9,
+        fitnessGap: optimum.bestFitness > 0 ? (optimum.bestFitness - bestFitness) / optimum.bestFitness : 0,
+        scoreGap: optimum.bestScore > 0 ? (optimum.bestScore - bestScore) / optimum.bestScore : 0,
+        ms,
+        poolSize: optimizer.lastRunInfo.poolSize,
+      };
+      runs.push(result);
+      console.log(`  run ${run + 1}: ${result.found ? 'optimum found' : 'optimum missed'} · ` +
+        `fitness gap ${formatPercent(result.fitnessGap)} · ability score gap ${formatPercent(result.scoreGap)} · pool ${result.poolSize} · ${ms} ms`);
+    }
+  }
+
+  if (runs.length === 0) {
+    console.log('\nNo runs.');
+    return;
+  }
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+  console.log('\nSummary');
+  console.log(`  optimum found:       ${runs.filter(r => r.found).length}/${runs.length} (${formatPercent(runs.filter(r => r.found).length / runs.length)})`);
+  console.log(`  fitness gap:         mean ${formatPercent(mean(runs.map(r => r.fitnessGap)))}, worst ${formatPercent(Math.max(...runs.map(r => r.fitnessGap)))}`);
+  console.log(`  ability score gap:   mean ${formatPercent(mean(runs.map(r => r.scoreGap)))}, worst ${formatPercent(Math.max(...runs.map(r => r.scoreGap)))}`);
+  console.log(`  run time:            mean ${Math.round(mean(runs.map(r => r.ms)))} ms, worst ${Math.max(...runs.map(r => r.ms))} ms`);
+}
+
+main().catch((err) => {
+  console.error(`Benchmark failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,195 @@
+/**
+ * Game Data
+ * Loads the game tables (module types, attributes, thresholds, power maps) from
+ * game_data.json, optionally patched by an override file in the user-data folder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const logger = getLogger('GameData');
+
+const GAME_DATA_FILE = 'game_data.json';
+const GAME_DATA_SCHEMA_VERSION = 1;
+const BUNDLED_GAME_DATA_PATH = path.join(__dirname, '..', GAME_DATA_FILE);
+// Set by the main process before the game tables load; worker threads inherit it
+const GAME_DATA_OVERRIDE_ENV = 'BPSR_GAME_DATA_OVERRIDE';
+
+const MODULE_CATEGORIES = ['Attack', 'Guard', 'Support'];
+const ATTRIBUTE_TYPES = ['basic', 'special'];
+const ATTRIBUTE_GROUPS = ['physical', 'magic', 'attack', 'guardian', 'support'];
+// The optimizer's level weights and priority ranking, and the weight editor, assume six attribute levels
+const ATTR_LEVEL_COUNT = 6;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check a list of entries, each a plain object with a unique key, id and name
+ * @param {Array<string>} errors - Receives one message per problem found
+ */
+function validateEntries(errors, list, field, idField, checkEntry) {
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`${field} must be a non-empty array`);
+    return;
+  }
+  const seen = { key: new Set(), [idField]: new Set(), name: new Set() };
+  list.forEach((entry, i) => {
+    const where = `${field}[${i}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof entry.key !== 'string' || !/^[A-Z0-9_]+$/.test(entry.key)) {
+      errors.push(`${where}.key must be an UPPER_SNAKE_CASE string`);
+    }
+    if (!isPositiveInteger(entry[idField])) errors.push(`${where}.${idField} must be a positive integer`);
+    if (!isNonEmptyString(entry.name)) errors.push(`${where}.name must be a non-empty string`);
+    for (const prop of Object.keys(seen)) {
+      if (seen[prop].has(entry[prop])) errors.push(`${where}.${prop} "${entry[prop]}" is a duplicate`);
+      seen[prop].add(entry[prop]);
+    }
+    checkEntry(entry, where);
+  });
+}
+
+/**
+ * Check a level -> power map with one entry per attribute level
+ */
+function validateLevelPowerMap(errors, map, field, levelCount) {
+  if (!isPlainObject(map)) {
+    errors.push(`${field} must be an object`);
+    return;
+  }
+  for (let level = 1; level <= levelCount; level++) {
+    const power = map[level];
+    if (typeof power !== 'number' || !Number.isFinite(power) || power < 0) {
+      errors.push(`${field}["${level}"] must be a non-negative number`);
+    }
+  }
+}
+
+/**
+ * Validate game data against the schema
+ * @param {Object} data - Parsed game data
+ * @returns {Array<string>} Problems found; empty when the data is valid
+ */
+function validateGameData(data) {
+  const errors = [];
+  if (!isPlainObject(data)) return ['game data must be a JSON object'];
+
+  if (data.schemaVersion !== GAME_DATA_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${GAME_DATA_SCHEMA_VERSION}`);
+  }
+  if (!isNonEmptyString(data.version)) errors.push('version must be a non-empty string');
+
+  validateEntries(errors, data.moduleTypes, 'moduleTypes', 'configId', (entry, where) => {
+    if (!MODULE_CATEGORIES.includes(entry.category)) {
+      errors.push(`${where}.category must be one of ${MODULE_CATEGORIES.join(', ')}`);
+    }
+  });
+  validateEntries(errors, data.attributes, 'attributes', 'id', (entry, where) => {
+    if (!ATTRIBUTE_TYPES.includes(entry.type)) {
+      errors.push(`${where}.type must be one of ${ATTRIBUTE_TYPES.join(', ')}`);
+    }
+  });
+
+  const attributeNames = new Set(Array.isArray(data.attributes) ? data.attributes.map(a => a && a.name) : []);
+  if (!isPlainObject(data.attributeGroups)) {
+    errors.push('attributeGroups must be an object');
+  } else {
+    for (const group of ATTRIBUTE_GROUPS) {
+      const names = data.attributeGroups[group];
+      if (!Array.isArray(names)) {
+        errors.push(`attributeGroups.${group} must be an array`);
+        continue;
+      }
+      for (const name of names) {
+        if (!attributeNames.has(name)) errors.push(`attributeGroups.${group} lists unknown attribute "${name}"`);
+      }
+    }
+  }
+
+  const thresholds = data.attrThresholds;
+  if (!Array.isArray(thresholds) || thresholds.length !== ATTR_LEVEL_COUNT ||
+      !thresholds.every((t, i) => isPositiveInteger(t) && (i === 0 || t > thresholds[i - 1]))) {
+    errors.push(`attrThresholds must be an array of ${ATTR_LEVEL_COUNT} increasing positive integers`);
+  }
+  const levelCount = Array.isArray(thresholds) ? thresholds.length : 0;
+  validateLevelPowerMap(errors, data.basicAttrPower, 'basicAttrPower', levelCount);
+  validateLevelPowerMap(errors, data.specialAttrPower, 'specialAttrPower', levelCount);
+
+  if (!isPlainObject(data.totalAttrPower) || Object.keys(data.totalAttrPower).length === 0) {
+    errors.push('totalAttrPower must be a non-empty object');
+  } else {
+    for (const [total, power] of Object.entries(data.totalAttrPower)) {
+      if (!/^\d+$/.test(total)) errors.push(`totalAttrPower key "${total}" must be a non-negative integer`);
+      if (typeof power !== 'number' || !Number.isFinite(power) || power < 0) {
+        errors.push(`totalAttrPower["${total}"] must be a non-negative number`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load the game data. The override file may replace any top-level section of the
+ * bundled data and must carry its own version; it is ignored, with the reasons
+ * reported in overrideErrors, when the result does not validate.
+ * @param {string} [overridePath] - Override file; defaults to the path in BPSR_GAME_DATA_OVERRIDE
+ * @returns {{data: Object, info: {version: string, source: string, overridePath: string|null, overrideErrors: Array<string>}}}
+ */
+function loadGameData(overridePath = process.env[GAME_DATA_OVERRIDE_ENV]) {
+  const bundled = JSON.parse(fs.readFileSync(BUNDLED_GAME_DATA_PATH, 'utf8'));
+  const bundledErrors = validateGameData(bundled);
+  if (bundledErrors.length > 0) {
+    throw new Error(`Bundled ${GAME_DATA_FILE} is invalid: ${bundledErrors.join('; ')}`);
+  }
+
+  const info = { version: bundled.version, source: 'bundled', overridePath: overridePath || null, overrideErrors: [] };
+  if (!overridePath || !fs.existsSync(overridePath)) {
+    return { data: bundled, info };
+  }
+
+  let errors;
+  let merged = null;
+  try {
+    const override = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+    if (!isPlainObject(override)) {
+      errors = ['game data must be a JSON object'];
+    } else {
+      merged = { ...bundled, ...override };
+      errors = validateGameData(merged);
+      if (!isNonEmptyString(override.version)) errors.unshift('the override must set its own version');
+    }
+  } catch (err) {
+    errors = [err.message];
+  }
+
+  if (errors.length > 0) {
+    logger.warn(`Ignoring game data override ${overridePath}: ${errors.join('; ')}`);
+    return { data: bundled, info: { ...info, overrideErrors: errors } };
+  }
+
+  logger.info(`Using game data override ${overridePath} (version ${merged.version})`);
+  return { data: merged, info: { ...info, version: merged.version, source: 'override' } };
+}
+
+module.exports = {
+  GAME_DATA_FILE,
+  GAME_DATA_SCHEMA_VERSION,
+  GAME_DATA_OVERRIDE_ENV,
+  validateGameData,
+  loadGameData,
+};
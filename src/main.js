@@ -7,9 +7,22 @@ const { app, BrowserWindow, ipcMain, shell, Menu, dialog } = require('electron')
 const path = require('path');
 const fs = require('fs');
 const { setupLogging, getLogger } = require('./logger');
+const { GAME_DATA_FILE, GAME_DATA_OVERRIDE_ENV } = require('./gameData');
+
+// Game tables load when moduleTypes is first required, so point them at the user's
+// override file before that; worker threads inherit the variable
+process.env[GAME_DATA_OVERRIDE_ENV] = path.join(app.getPath('userData'), GAME_DATA_FILE);
+
 const { getNetworkInterfaces } = require('./networkInterfaceUtil');
 const { StarResonanceMonitor } = require('./starResonanceMonitor');
-const { ModuleCategory, ALL_ATTRIBUTES } = require('./moduleTypes');
+const { ModuleCategory, ALL_ATTRIBUTES, ATTR_THRESHOLDS, GAME_DATA_INFO } = require('./moduleTypes');
+const { DEFAULT_WEIGHTS } = require('./moduleOptimizer');
+const { readJson, writeJson, readJsonFile } = require('./userDataStore');
+
+const EXCLUDED_MODULES_FILE = 'excluded_modules.json';
+const WEIGHT_PROFILES_FILE = 'weight_profiles.json';
+const CLASS_PROFILES_FILE = 'class_profiles.json';
+const SEARCH_SETTINGS_FILE = 'search_settings.json';
 
 // Get app version from package.json
 const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
@@ -27,6 +40,11 @@ const logger = getLogger('Main');
 let mainWindow = null;
 let monitor = null;
 
+// Edited weight profiles are saved to the user-data folder; the bundled file only holds the defaults
+const bundledWeightProfilesPath = path.join(__dirname, '..', WEIGHT_PROFILES_FILE);
+// Class rule profiles are edited by hand; a copy in the user-data folder replaces the bundled one
+const bundledClassProfilesPath = path.join(__dirname, '..', CLASS_PROFILES_FILE);
+
 // Create custom application menu
 function createMenu() {
   const aboutDialog = () => {
@@ -214,13 +232,23 @@ ipcMain.handle('get-all-attributes', async () => {
   return ALL_ATTRIBUTES;
 });
 
+// Get the game data version in use and the attribute level thresholds
+ipcMain.handle('get-game-data-info', async () => {
+  return { ...GAME_DATA_INFO, attrThresholds: ATTR_THRESHOLDS };
+});
+
 // Start monitoring
 ipcMain.handle('start-monitoring', async (event, options) => {
   try {
-    const { interfaceName, category, attributes, prioritizedAttrs, priorityOrderMode } = options;
+    const {
+      interfaceName, category, attributes, prioritizedAttrs, priorityOrderMode,
+      lockedUuids, excludedUuids, minLevels, weightProfile, classProfile, paretoFront, slotCount, maxSwaps, baseUuids,
+      strategies, minDifference, timeBudgetMs, stallGenerations,
+    } = options;
 
     if (monitor) {
       monitor.stopMonitoring();
+      monitor.cancelOptimization();
     }
 
     monitor = new StarResonanceMonitor({
@@ -229,9 +257,22 @@ ipcMain.handle('start-monitoring', async (event, options) => {
       attributes,
       prioritizedAttrs,
       priorityOrderMode,
-      onDataCapturedCallback: () => {
+      lockedUuids,
+      excludedUuids,
+      minLevels,
+      weightProfile,
+      classProfile,
+      paretoFront,
+      slotCount,
+      maxSwaps,
+      baseUuids,
+      strategies,
+      minDifference,
+      timeBudgetMs,
+      stallGenerations,
+      onDataCapturedCallback: (captureInfo) => {
         if (mainWindow) {
-          mainWindow.webContents.send('data-captured');
+          mainWindow.webContents.send('data-captured', captureInfo);
         }
       },
       progressCallback: (message) => {
@@ -239,13 +280,19 @@ ipcMain.handle('start-monitoring', async (event, options) => {
           mainWindow.webContents.send('progress-update', message);
         }
       },
-      onResultsCallback: (results) => {
+      optimizationProgressCallback: (progressEvent) => {
+        if (mainWindow) {
+          mainWindow.webContents.send('optimization-progress', progressEvent);
+        }
+      },
+      onResultsCallback: (results, runInfo) => {
         if (mainWindow) {
           // Optimize: Limit results and round numbers to reduce IPC payload
           // Only send top 100 results (most relevant)
           const limitedResults = results.slice(0, 100);
           const serializedResults = limitedResults.map(sol => ({
             modules: sol.modules.map(m => ({
+              uuid: String(m.uuid),
               name: m.name,
               parts: m.parts.map(p => ({
                 name: p.name,
@@ -255,8 +302,59 @@ ipcMain.handle('start-monitoring', async (event, options) => {
             attrBreakdown: sol.attrBreakdown,
             score: Math.round(sol.score * 100) / 100, // Round to 2 decimals
             optimizationScore: Math.round(sol.optimizationScore * 100) / 100,
+            loadoutName: sol.loadoutName,
+            gainPerSwap: sol.gainPerSwap !== undefined ? Math.round(sol.gainPerSwap) : undefined,
+            powerBreakdown: sol.powerBreakdown ? {
+              ...sol.powerBreakdown,
+              attributes: sol.powerBreakdown.attributes.map(entry => ({
+                ...entry,
+                totalValueShare: Math.round(entry.totalValueShare * 100) / 100,
+                power: Math.round(entry.power * 100) / 100,
+              })),
+            } : null,
+            nearMisses: sol.nearMisses || [],
+            levelUpSwaps: (sol.levelUpSwaps || []).map(swap => ({
+              attr: swap.attr,
+              fromLevel: swap.fromLevel,
+              toLevel: swap.toLevel,
+              outModule: { uuid: String(swap.outModule.uuid), name: swap.outModule.name },
+              inModule: {
+                uuid: String(swap.inModule.uuid),
+                name: swap.inModule.name,
+                parts: swap.inModule.parts.map(p => ({ name: p.name, value: p.value })),
+              },
+              scoreDelta: Math.round(swap.scoreDelta),
+            })),
+            equivalentBuilds: (sol.equivalentBuilds || []).map(alt => ({
+              modules: alt.modules.map(m => ({
+                uuid: String(m.uuid),
+                name: m.name,
+                parts: m.parts.map(p => ({ name: p.name, value: p.value })),
+              })),
+              score: Math.round(alt.score * 100) / 100,
+            })),
+            equippedDelta: sol.equippedDelta ? {
+              scoreDelta: Math.round(sol.equippedDelta.scoreDelta),
+              levelChanges: sol.equippedDelta.levelChanges,
+              swaps: sol.equippedDelta.swaps.map(swap => ({
+                slot: swap.slot,
+                outModule: swap.outModule ? { uuid: String(swap.outModule.uuid), name: swap.outModule.name } : null,
+                inModule: { uuid: String(swap.inModule.uuid), name: swap.inModule.name },
+              })),
+            } : null,
           }));
-          mainWindow.webContents.send('results-ready', serializedResults);
+          const serializedRunInfo = runInfo && runInfo.equipped ? {
+            ...runInfo,
+            equipped: {
+              score: Math.round(runInfo.equipped.score),
+              attrBreakdown: runInfo.equipped.attrBreakdown,
+              slots: runInfo.equipped.slots.map(({ slot, module }) => ({
+                slot,
+                module: module ? { uuid: String(module.uuid), name: module.name } : null,
+              })),
+            },
+          } : runInfo;
+          mainWindow.webContents.send('results-ready', serializedResults, serializedRunInfo);
         }
       },
       onStoppedCallback: () => {
@@ -290,8 +388,15 @@ ipcMain.handle('rescreen-modules', async (event, options) => {
       return { success: false, error: 'No captured module data available' };
     }
 
-    const { category, attributes, prioritizedAttrs, priorityOrderMode } = options;
-    monitor.rescreenModules(category, attributes, prioritizedAttrs, priorityOrderMode);
+    const {
+      category, attributes, prioritizedAttrs, priorityOrderMode,
+      seed, lockedUuids, excludedUuids, minLevels, weightProfile, classProfile, paretoFront, slotCount, maxSwaps, baseUuids,
+      strategies, minDifference, timeBudgetMs, stallGenerations,
+    } = options;
+    monitor.rescreenModules(category, attributes, prioritizedAttrs, priorityOrderMode, {
+      seed, lockedUuids, excludedUuids, minLevels, weightProfile, classProfile, paretoFront, slotCount, maxSwaps, baseUuids,
+      strategies, minDifference, timeBudgetMs, stallGenerations,
+    });
     return { success: true };
   } catch (err) {
     logger.error(`Failed to rescreen: ${err.message}`);
@@ -299,6 +404,70 @@ ipcMain.handle('rescreen-modules', async (event, options) => {
   }
 });
 
+// Cancel the optimization in progress
+ipcMain.handle('cancel-optimization', async () => {
+  if (monitor && monitor.cancelOptimization()) {
+    return { success: true };
+  }
+  return { success: false, error: 'No optimization in progress' };
+});
+
+// Optimize several loadouts that share no module
+ipcMain.handle('optimize-loadouts', async (event, options) => {
+  try {
+    if (!monitor || !monitor.hasCapturedData()) {
+      return { success: false, error: 'No captured module data available' };
+    }
+
+    const { specs, seed, excludedUuids, slotCount, strategies, timeBudgetMs, stallGenerations } = options;
+    monitor.optimizeLoadouts(specs, { seed, excludedUuids, slotCount, strategies, timeBudgetMs, stallGenerations });
+    return { success: true };
+  } catch (err) {
+    logger.error(`Failed to optimize loadouts: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+});
+
+// Get excluded modules (persisted between sessions)
+ipcMain.handle('get-excluded-modules', async () => {
+  return readJson(EXCLUDED_MODULES_FILE, []);
+});
+
+// Save excluded modules
+ipcMain.handle('set-excluded-modules', async (event, excludedModules) => {
+  const success = writeJson(EXCLUDED_MODULES_FILE, excludedModules || []);
+  return success ? { success: true } : { success: false, error: 'Failed to save excluded modules' };
+});
+
+// Get search settings: time budget in seconds and generations without improvement before a
+// campaign stops; null leaves the fixed-length search in place
+ipcMain.handle('get-search-settings', async () => {
+  return readJson(SEARCH_SETTINGS_FILE, { timeBudgetSeconds: null, stallGenerations: null });
+});
+
+// Save search settings
+ipcMain.handle('set-search-settings', async (event, settings) => {
+  const success = writeJson(SEARCH_SETTINGS_FILE, settings || {});
+  return success ? { success: true } : { success: false, error: 'Failed to save search settings' };
+});
+
+// Get weight profiles and the default weights new profiles start from
+ipcMain.handle('get-weight-profiles', async () => {
+  const profiles = readJson(WEIGHT_PROFILES_FILE, null) || readJsonFile(bundledWeightProfilesPath, {});
+  return { profiles, defaults: DEFAULT_WEIGHTS };
+});
+
+// Save weight profiles
+ipcMain.handle('set-weight-profiles', async (event, profiles) => {
+  const success = writeJson(WEIGHT_PROFILES_FILE, profiles || {});
+  return success ? { success: true } : { success: false, error: 'Failed to save weight profiles' };
+});
+
+// Get class rule profiles
+ipcMain.handle('get-class-profiles', async () => {
+  return readJson(CLASS_PROFILES_FILE, null) || readJsonFile(bundledClassProfilesPath, {});
+});
+
 // Check if data is captured
 ipcMain.handle('has-captured-data', async () => {
   return monitor ? monitor.hasCapturedData() : false;
@@ -5,6 +5,8 @@
  */
 
 const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
 const {
   ModuleInfo,
   ModuleCategory,
@@ -14,16 +16,15 @@ const {
   SPECIAL_ATTR_POWER_MAP,
   TOTAL_ATTR_POWER_MAP,
   ATTR_NAME_TYPE_MAP,
-  PHYSICAL_ATTRIBUTES,
-  MAGIC_ATTRIBUTES,
-  ATTACK_ATTRIBUTES,
-  GUARDIAN_ATTRIBUTES,
-  SUPPORT_ATTRIBUTES,
+  ATTRIBUTE_GROUPS,
 } = require('./moduleTypes');
 const { getLogger } = require('./logger');
 
 const logger = getLogger('ModuleOptimizer');
 
+// Module slots of a fully unlocked character; loadouts may be smaller (options.slotCount)
+const MAX_MODULE_SLOTS = 4;
+
 /**
  * Module Solution class - represents a combination of modules
  */
@@ -32,6 +33,7 @@ class ModuleSolution {
     this.modules = [...modules].sort((a, b) => a.uuid - b.uuid);
     this.attrBreakdown = {};
     this.score = 0; // Final combat power
+    this.powerBreakdown = null; // Where the combat power comes from (see calculateCombatPower)
     this.optimizationScore = 0; // Fitness score used during optimization
   }
 
@@ -41,91 +43,244 @@ class ModuleSolution {
 }
 
 /**
- * Calculate fitness score for a module combination
+ * Sum attribute values across a set of modules
  */
-function calculateFitness(modules, category, prioritizedAttrs = null) {
-  if (!modules || new Set(modules.map(m => m.uuid)).size < 4) return 0;
-
+function sumAttributes(modules) {
   const attrBreakdown = {};
   for (const module of modules) {
     for (const part of module.parts) {
       attrBreakdown[part.name] = (attrBreakdown[part.name] || 0) + part.value;
     }
   }
+  return attrBreakdown;
+}
 
-  let score = 0;
+/**
+ * Default fitness weights. A weight profile overrides any of these:
+ * - levelScores: bonus for a prioritized attribute at Lv.1..Lv.6
+ * - attributes: multiplier per attribute name (missing attributes weigh 1)
+ * - categoryBonus: points per value of an attribute the class rules reward (by default, the module category's)
+ * - conflictPenalty: points per overlapping value of attribute groups the class rules set in conflict
+ */
+const DEFAULT_WEIGHTS = {
+  levelScores: [10, 50, 100, 500, 2000, 5000],
+  attributes: {},
+  categoryBonus: 5,
+  conflictPenalty: 10,
+};
 
-  // Helper to convert value -> level (0..6)
-  function valueToLevelFitness(val) {
-    if (val >= 20) return 6;
-    if (val >= 16) return 5;
-    if (val >= 12) return 4;
-    if (val >= 8) return 3;
-    if (val >= 4) return 2;
-    if (val >= 1) return 1;
-    return 0;
+/**
+ * Fill a weight profile in with the defaults.
+ * Negative weights are clamped to 0 and level scores are made non-decreasing, so
+ * the fitness still grows with attribute values and the exact solver bounds hold.
+ * @param {Object} [profile] - Partial weight profile
+ * @returns {Object} Complete weights
+ */
+function normalizeWeights(profile = {}) {
+  const toWeight = (value, fallback) => {
+    const num = Number(value);
+    return Number.isFinite(num) ? Math.max(0, num) : fallback;
+  };
+
+  let previous = 0;
+  const levelScores = DEFAULT_WEIGHTS.levelScores.map((fallback, i) => {
+    const levels = Array.isArray(profile.levelScores) ? profile.levelScores : [];
+    previous = Math.max(previous, toWeight(levels[i], fallback));
+    return previous;
+  });
+
+  const attributes = {};
+  for (const [attrName, weight] of Object.entries(profile.attributes || {})) {
+    attributes[attrName] = toWeight(weight, 1);
   }
 
+  return {
+    levelScores,
+    attributes,
+    categoryBonus: toWeight(profile.categoryBonus, DEFAULT_WEIGHTS.categoryBonus),
+    conflictPenalty: toWeight(profile.conflictPenalty, DEFAULT_WEIGHTS.conflictPenalty),
+  };
+}
+
+/**
+ * Attribute group each module category rewards under the "category" bonus rule
+ */
+const CATEGORY_BONUS_GROUPS = {
+  [ModuleCategory.ATTACK]: 'attack',
+  [ModuleCategory.GUARDIAN]: 'guardian',
+  [ModuleCategory.SUPPORT]: 'support',
+};
+
+/**
+ * Class rules used without a class profile: physical and magic attributes conflict,
+ * and each module category rewards its own attribute group
+ */
+const DEFAULT_CLASS_PROFILE = {
+  conflictGroups: [['physical', 'magic']],
+  bonusAttributes: ['category'],
+  penalties: {},
+};
+
+/**
+ * Resolve a class rule profile into plain attribute lists. A profile declares:
+ * - conflictGroups: pairs of groups that should not be mixed; a build holding both
+ *   pays conflictPenalty per point of the smaller side
+ * - bonusAttributes: attributes that earn categoryBonus per point; "category" stands
+ *   for the group matching the module category
+ * - penalties: points lost per attribute value, for attributes the class has no use for
+ * Groups are attribute group names from the game data or lists of attribute names.
+ * @param {Object} [profile] - Class rule profile (defaults to DEFAULT_CLASS_PROFILE)
+ * @returns {{conflictGroups: Array<Array<Array<string>>>, bonusAttributes: Array<string>, categoryBonus: boolean, penalties: Object<string, number>}}
+ */
+function normalizeClassRules(profile = DEFAULT_CLASS_PROFILE) {
+  const toNames = (group) => {
+    if (Array.isArray(group)) return group.filter(name => typeof name === 'string');
+    return ATTRIBUTE_GROUPS[group] ? [...ATTRIBUTE_GROUPS[group]] : [group];
+  };
+
+  const conflictGroups = (Array.isArray(profile.conflictGroups) ? profile.conflictGroups : [])
+    .filter(pair => Array.isArray(pair) && pair.length === 2)
+    .map(pair => pair.map(toNames));
+
+  const bonus = Array.isArray(profile.bonusAttributes) ? profile.bonusAttributes : [];
+  const bonusAttributes = [...new Set(bonus.filter(entry => entry !== 'category').flatMap(toNames))];
+
+  const penalties = {};
+  for (const [attrName, points] of Object.entries(profile.penalties || {})) {
+    const num = Number(points);
+    if (Number.isFinite(num) && num > 0) penalties[attrName] = num;
+  }
+
+  return { conflictGroups, bonusAttributes, categoryBonus: bonus.includes('category'), penalties };
+}
+
+const DEFAULT_CLASS_RULES = normalizeClassRules(DEFAULT_CLASS_PROFILE);
+
+/**
+ * Split the fitness of an attribute breakdown into its reward and penalty terms.
+ * Every reward term grows with attribute values and every penalty term does too,
+ * which is what lets the exact solver bound unfinished combinations.
+ * @param {Object} [weights] - Normalized weights (see normalizeWeights)
+ * @param {Object} [classRules] - Normalized class rules (see normalizeClassRules)
+ */
+function computeFitnessTerms(attrBreakdown, category, prioritizedAttrs = null, weights = DEFAULT_WEIGHTS, classRules = DEFAULT_CLASS_RULES) {
+  let reward = 0;
+  let penalty = 0;
+  const attrWeight = (attrName) => weights.attributes[attrName] ?? 1;
+  // Level scores cover six levels; game data with more levels scores the extra ones as the last
+  const levelScore = (level) => weights.levelScores[Math.min(level, weights.levelScores.length) - 1];
+
   if (prioritizedAttrs && prioritizedAttrs.length > 0) {
     const prioritizedSet = new Set(prioritizedAttrs);
     let prioritizedAttrScore = 0;
     
     for (const attrName of prioritizedAttrs) {
       const value = attrBreakdown[attrName] || 0;
-      const level = valueToLevelFitness(value);
-      if (level === 6) prioritizedAttrScore += 5000;
-      else if (level === 5) prioritizedAttrScore += 2000;
-      else if (level === 4) prioritizedAttrScore += 500;
-      else if (level === 3) prioritizedAttrScore += 100;
-      else if (level === 2) prioritizedAttrScore += 50;
-      else if (level === 1) prioritizedAttrScore += 10;
+      const level = valueToLevel(value);
+      if (level > 0) prioritizedAttrScore += levelScore(level) * attrWeight(attrName);
     }
-    score += prioritizedAttrScore;
+    reward += prioritizedAttrScore;
 
     // Bonus for having prioritized attributes
-    const matchCount = [...prioritizedSet].filter(attr => attrBreakdown[attr]).length;
-    score += matchCount * 100;
+    const matchedAttrs = [...prioritizedSet].filter(attr => attrBreakdown[attr]);
+    reward += matchedAttrs.reduce((sum, attr) => sum + attrWeight(attr), 0) * 100;
 
     // Minor penalty for non-prioritized attributes
     const nonPrioritizedAttrs = Object.keys(attrBreakdown).filter(attr => !prioritizedSet.has(attr));
-    score -= nonPrioritizedAttrs.reduce((sum, attr) => sum + attrBreakdown[attr], 0) * 5;
+    penalty += nonPrioritizedAttrs.reduce((sum, attr) => sum + attrBreakdown[attr] * attrWeight(attr), 0) * 5;
   }
 
-  // Threshold score
+  // Threshold score, for the three highest levels
+  const [lv4, lv5, lv6] = ATTR_THRESHOLDS.slice(-3);
   let thresholdScore = 0;
   for (const [attrName, value] of Object.entries(attrBreakdown)) {
-    if (value >= 20) thresholdScore += 1000 + (value - 20) * 20;
-    else if (value >= 16) thresholdScore += 500 + (value - 16) * 15;
-    else if (value >= 12) thresholdScore += 100 + (value - 12) * 5;
+    let attrScore = 0;
+    if (value >= lv6) attrScore = 1000 + (value - lv6) * 20;
+    else if (value >= lv5) attrScore = 500 + (value - lv5) * 15;
+    else if (value >= lv4) attrScore = 100 + (value - lv4) * 5;
+    thresholdScore += attrScore * attrWeight(attrName);
   }
-  score += thresholdScore;
-
-  // Category bonuses
-  let targetAttrs = new Set();
-  if (category === ModuleCategory.ATTACK) targetAttrs = ATTACK_ATTRIBUTES;
-  else if (category === ModuleCategory.GUARDIAN) targetAttrs = GUARDIAN_ATTRIBUTES;
-  else if (category === ModuleCategory.SUPPORT) targetAttrs = SUPPORT_ATTRIBUTES;
+  reward += thresholdScore;
 
+  // Class bonus attributes, plus the module category's group when the class asks for it
+  const categoryGroup = classRules.categoryBonus ? ATTRIBUTE_GROUPS[CATEGORY_BONUS_GROUPS[category]] : null;
   for (const [attrName, value] of Object.entries(attrBreakdown)) {
-    if (targetAttrs.has(attrName)) score += value * 5;
+    if (classRules.bonusAttributes.includes(attrName) || (categoryGroup && categoryGroup.includes(attrName))) {
+      reward += value * weights.categoryBonus * attrWeight(attrName);
+    }
+  }
+
+  // Conflicting attribute groups
+  const groupSum = (names) => names.reduce((sum, name) => sum + (attrBreakdown[name] || 0), 0);
+  for (const [groupA, groupB] of classRules.conflictGroups) {
+    const sumA = groupSum(groupA);
+    const sumB = groupSum(groupB);
+    if (sumA > 0 && sumB > 0) penalty += Math.min(sumA, sumB) * weights.conflictPenalty;
   }
 
-  // Physical/Magic conflict penalty
-  const physicalSum = Object.entries(attrBreakdown)
-    .filter(([k]) => PHYSICAL_ATTRIBUTES.has(k))
-    .reduce((sum, [, v]) => sum + v, 0);
-  const magicSum = Object.entries(attrBreakdown)
-    .filter(([k]) => MAGIC_ATTRIBUTES.has(k))
-    .reduce((sum, [, v]) => sum + v, 0);
-  
-  if (physicalSum > 0 && magicSum > 0) {
-    score -= Math.min(physicalSum, magicSum) * 10;
+  // Attributes the class has no use for
+  for (const [attrName, points] of Object.entries(classRules.penalties)) {
+    penalty += (attrBreakdown[attrName] || 0) * points;
   }
 
   // Small bonus for total attribute value
-  score += Object.values(attrBreakdown).reduce((a, b) => a + b, 0) * 0.1;
+  reward += Object.values(attrBreakdown).reduce((a, b) => a + b, 0) * 0.1;
+
+  return { reward, penalty };
+}
+
+/**
+ * Convert an attribute level (1..6) to the minimum attribute value that reaches it
+ */
+function levelToMinValue(level) {
+  if (level <= 0) return 0;
+  return ATTR_THRESHOLDS[Math.min(level, ATTR_THRESHOLDS.length) - 1];
+}
+
+/**
+ * Convert an attribute value to its level (0..6)
+ */
+function valueToLevel(value) {
+  let level = 0;
+  while (level < ATTR_THRESHOLDS.length && value >= ATTR_THRESHOLDS[level]) level++;
+  return level;
+}
 
-  return Math.max(0, score);
+/**
+ * How many attribute points an attribute breakdown is short of the required minimum values
+ */
+function constraintDeficit(attrBreakdown, minValues) {
+  let deficit = 0;
+  for (const [attrName, minValue] of Object.entries(minValues)) {
+    deficit += Math.max(0, minValue - (attrBreakdown[attrName] || 0));
+  }
+  return deficit;
+}
+
+/**
+ * Calculate fitness score for a module combination
+ * @param {Object} [options]
+ * @param {Array<ModuleInfo>} [options.lockedModules] - Modules that are part of every combination;
+ *   `modules` then only holds the remaining slots
+ * @param {Object<string, number>} [options.minValues] - Hard minimum value per attribute. Combinations
+ *   that miss one score minus their total shortfall, so they always rank below feasible ones
+ * @param {Object} [options.weights] - Normalized weight profile (defaults to DEFAULT_WEIGHTS)
+ * @param {Object} [options.classRules] - Normalized class rules (defaults to DEFAULT_CLASS_RULES)
+ * @param {number} [options.slotCount] - Modules in a loadout (defaults to MAX_MODULE_SLOTS)
+ */
+function calculateFitness(modules, category, prioritizedAttrs = null, options = {}) {
+  if (!modules) return 0;
+  const combined = options.lockedModules ? [...options.lockedModules, ...modules] : modules;
+  if (new Set(combined.map(m => m.uuid)).size < (options.slotCount || MAX_MODULE_SLOTS)) return 0;
+
+  const attrBreakdown = sumAttributes(combined);
+  if (options.minValues) {
+    const deficit = constraintDeficit(attrBreakdown, options.minValues);
+    if (deficit > 0) return -deficit;
+  }
+
+  const { reward, penalty } = computeFitnessTerms(attrBreakdown, category, prioritizedAttrs, options.weights, options.classRules);
+  return Math.max(0, reward - penalty);
 }
 
 /**
@@ -285,15 +440,116 @@ function factorial(n) {
   return result;
 }
 
-function shuffleArray(arr) {
+function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+  return Math.round(result);
+}
+
+function moduleTotalValue(module) {
+  return module.parts.reduce((sum, p) => sum + p.value, 0);
+}
+
+/**
+ * Whether the ability score never drops as a combination of lockedModules and freeSlots of modules
+ * gains attribute value: the level power maps never drop from level to level, and
+ * TOTAL_ATTR_POWER_MAP (missing totals count as 0) never drops between the lowest and highest
+ * total such a combination can reach
+ */
+function isCombatPowerMonotone(modules, freeSlots, lockedModules = []) {
+  for (const powerMap of [BASIC_ATTR_POWER_MAP, SPECIAL_ATTR_POWER_MAP]) {
+    let previous = 0;
+    for (let level = 1; level <= ATTR_THRESHOLDS.length; level++) {
+      const power = powerMap[level] || 0;
+      if (power < previous) return false;
+      previous = power;
+    }
+  }
+  const totals = modules.map(moduleTotalValue).sort((a, b) => a - b);
+  const lockedTotal = lockedModules.reduce((sum, m) => sum + moduleTotalValue(m), 0);
+  const minTotal = lockedTotal + totals.slice(0, freeSlots).reduce((a, b) => a + b, 0);
+  const maxTotal = lockedTotal + totals.slice(-freeSlots).reduce((a, b) => a + b, 0);
+  for (let total = minTotal + 1; total <= maxTotal; total++) {
+    if ((TOTAL_ATTR_POWER_MAP[total] || 0) < (TOTAL_ATTR_POWER_MAP[total - 1] || 0)) return false;
+  }
+  return true;
+}
+
+/**
+ * Order modules by what each adds to the fitness on its own (prioritized attributes, class
+ * bonus attributes), then by total attribute value, so neighbourhood searches that can only
+ * try a few modules try the promising ones instead of whichever come first in the pool
+ */
+function rankByRelevance(modules, category, prioritizedAttrs, fitnessOptions = {}) {
+  const relevance = new Map(modules.map(m => {
+    const { reward, penalty } = computeFitnessTerms(
+      sumAttributes([m]), category, prioritizedAttrs, fitnessOptions.weights, fitnessOptions.classRules
+    );
+    return [m, reward - penalty];
+  }));
+  return [...modules].sort((a, b) => relevance.get(b) - relevance.get(a) || moduleTotalValue(b) - moduleTotalValue(a));
+}
+
+function shuffleArray(arr, random = Math.random) {
   const result = [...arr];
   for (let i = result.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [result[i], result[j]] = [result[j], result[i]];
   }
   return result;
 }
 
+/**
+ * Create a deterministic PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalize a requested loadout size to 1..MAX_MODULE_SLOTS, defaulting to MAX_MODULE_SLOTS
+ */
+function resolveSlotCount(slotCount) {
+  const parsed = Math.trunc(Number(slotCount));
+  if (!Number.isFinite(parsed) || parsed < 1) return MAX_MODULE_SLOTS;
+  return Math.min(parsed, MAX_MODULE_SLOTS);
+}
+
+/**
+ * Normalize a user-supplied seed to a uint32, or pick a fresh one
+ */
+function resolveSeed(seed) {
+  const parsed = Number(seed);
+  if (seed === null || seed === undefined || seed === '' || !Number.isFinite(parsed)) {
+    return Math.floor(Math.random() * 4294967296);
+  }
+  return Math.trunc(parsed) >>> 0;
+}
+
+/**
+ * Keep the known search strategies of a request, in order and without repeats, defaulting to the GA
+ */
+function resolveStrategies(strategies) {
+  const known = [...new Set(Array.isArray(strategies) ? strategies : [])]
+    .filter(name => Object.prototype.hasOwnProperty.call(SEARCH_STRATEGIES, name));
+  return known.length > 0 ? known : ['ga'];
+}
+
+/**
+ * Derive the seed for one campaign from the run seed
+ */
+function campaignSeed(seed, index) {
+  return (seed + Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+}
+
 function deepCopy(solution) {
   const copy = new ModuleSolution([...solution.modules]);
   copy.attrBreakdown = { ...solution.attrBreakdown };
@@ -302,6 +558,134 @@ function deepCopy(solution) {
   return copy;
 }
 
+/**
+ * Where a solution's combat power comes from, returned by calculateCombatPower
+ * @typedef {Object} PowerBreakdown
+ * @property {Array<{attr: string, type: string, value: number, level: number, thresholdPower: number,
+ *   totalValueShare: number, power: number}>} attributes - Contribution of each attribute, largest first
+ * @property {number} thresholdPower - Power from attribute levels (BASIC_ATTR_POWER_MAP/SPECIAL_ATTR_POWER_MAP)
+ * @property {number} totalValue - Sum of all attribute values
+ * @property {number} totalValuePower - Power from the total value (TOTAL_ATTR_POWER_MAP)
+ */
+
+/**
+ * Progress event passed to progressCallback
+ * @typedef {Object} ProgressEvent
+ * @property {string} stage - 'exact', 'done', or the search strategy running ('ga', 'annealing', 'tabu')
+ * @property {number} progress - Overall completion, 0..1
+ * @property {number|null} etaMs - Estimated time remaining, null until it can be estimated
+ * @property {number|null} bestFitness - Best fitness found so far
+ * @property {number} [campaign] - 0-based campaign index, counted across strategies (search)
+ * @property {number} [campaigns] - Number of campaigns of all strategies (search)
+ * @property {number} [generation] - Generations, or annealing/tabu steps, completed by that campaign (search)
+ * @property {number} [generations] - Generations or steps per campaign (search)
+ * @property {number} [solutionCount] - Number of solutions found ('done')
+ * @property {string} message - English summary for logs
+ */
+
+/**
+ * Build a progress event, estimating the remaining time from the elapsed time
+ * @param {string} stage - See ProgressEvent.stage
+ * @param {number} progress - Overall completion, 0..1
+ * @param {number} startTime - Date.now() when the stage started
+ * @param {Object} [details] - Stage-specific fields of the event
+ * @returns {ProgressEvent}
+ */
+function createProgressEvent(stage, progress, startTime, details = {}) {
+  let etaMs = null;
+  if (progress >= 1) etaMs = 0;
+  else if (progress > 0) etaMs = Math.round((Date.now() - startTime) * (1 - progress) / progress);
+  return { stage, progress, etaMs, bestFitness: null, message: '', ...details };
+}
+
+/**
+ * Priority-mode ranking key: how many of the topK best prioritized attributes reach each level,
+ * highest level first, then their level sum, then ability score and fitness (fitness first when
+ * weighted). Compared with compareRankKeys. Never decreases as attribute values, score or fitness grow.
+ */
+function prioritySortKey(attrBreakdown, score, fitness, prioritizedAttrs, topK = 4, weighted = false) {
+  const levels = prioritizedAttrs.map((attr, idx) => ({
+    attr,
+    level: valueToLevel(attrBreakdown[attr] || 0),
+    index: idx
+  }));
+
+  // Pick top_k attributes by (level desc, user order asc)
+  levels.sort((a, b) => b.level - a.level || a.index - b.index);
+  const topSelected = levels.slice(0, topK);
+
+  const counts = { 6: 0, 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  let sumLevels = 0;
+  for (const item of topSelected) {
+    if (item.level >= 1) {
+      counts[item.level]++;
+      sumLevels += item.level;
+    }
+  }
+
+  const tieBreakers = [score || 0, fitness || 0];
+  if (weighted) tieBreakers.reverse();
+
+  return [
+    counts[6], counts[5], counts[4], counts[3], counts[2], counts[1],
+    sumLevels,
+    ...tieBreakers
+  ];
+}
+
+/**
+ * Compare two ranking keys element by element; positive when a ranks above b
+ */
+function compareRankKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Ability score of an attribute breakdown: the threshold-level power of each attribute plus
+ * the total-value bonus (the number calculateCombatPower returns first)
+ */
+function combatPowerOf(attrBreakdown) {
+  let power = 0;
+  let totalValue = 0;
+  for (const [attrName, value] of Object.entries(attrBreakdown)) {
+    const powerMap = ATTR_NAME_TYPE_MAP[attrName] === 'special' ? SPECIAL_ATTR_POWER_MAP : BASIC_ATTR_POWER_MAP;
+    const level = valueToLevel(value);
+    if (level > 0) power += powerMap[level] || 0;
+    totalValue += value;
+  }
+  return power + (TOTAL_ATTR_POWER_MAP[totalValue] || 0);
+}
+
+/**
+ * Highest ability score a combination can reach when each attribute ends up between its
+ * committed and optimistic value. The power maps need not grow with level or total value,
+ * so each term takes the best entry over its whole range.
+ */
+function combatPowerBound(committed, optimistic) {
+  let power = 0;
+  let minTotal = 0;
+  let maxTotal = 0;
+  for (const [attrName, maxValue] of Object.entries(optimistic)) {
+    const powerMap = ATTR_NAME_TYPE_MAP[attrName] === 'special' ? SPECIAL_ATTR_POWER_MAP : BASIC_ATTR_POWER_MAP;
+    const minValue = committed[attrName] || 0;
+    let best = 0;
+    for (let level = Math.max(1, valueToLevel(minValue)); level <= valueToLevel(maxValue); level++) {
+      best = Math.max(best, powerMap[level] || 0);
+    }
+    power += best;
+    minTotal += minValue;
+    maxTotal += maxValue;
+  }
+  let bestTotalPower = 0;
+  for (let total = minTotal; total <= maxTotal; total++) {
+    bestTotalPower = Math.max(bestTotalPower, TOTAL_ATTR_POWER_MAP[total] || 0);
+  }
+  return power + bestTotalPower;
+}
+
 /**
  * Module Optimizer class
  */
@@ -317,12 +701,46 @@ class ModuleOptimizer {
       elitismRate: 0.1,
       tournamentSize: 5,
       localSearchRate: 0.3,
+      localSearchCandidates: 30,
+    };
+    // Trajectory searches, run as campaigns like the GA (see SEARCH_STRATEGIES)
+    this.annealingParams = {
+      steps: 100,
+      movesPerStep: 500,
+      startTemperature: 0.2,
+      coolingRate: 0.93,
+      keepCount: 150,
+    };
+    this.tabuParams = {
+      iterations: 300,
+      neighborSample: 120,
+      tenure: 7,
+      keepCount: 150,
     };
     // Reduce number of campaigns based on CPU cores
     this.numCampaigns = Math.max(1, Math.min(4, Math.floor(os.cpus().length / 2)));
+    // Campaigns run on worker threads, leaving one core for the main process
+    this.useWorkers = true;
+    this.maxWorkers = Math.max(1, os.cpus().length - 1);
     this.qualityThreshold = 12;
     this.prefilterTopNPerAttr = 60;
     this.prefilterTopNTotalValue = 100;
+    // Drop modules that another module of the same category beats or matches on everything that scores
+    this.dominancePruning = true;
+    // Attributes at most this many points below their next level are reported as near misses
+    this.nearMissGap = 1;
+    // Pools with at most this many combinations are solved exactly
+    this.exactMaxCombinations = 500000;
+    // Candidates kept per build when searching for disjoint loadouts
+    this.loadoutCandidateCount = 150;
+    // Warm starts: the last population and best solutions per category, as module UUID lists.
+    // A re-run seeds up to warmStartShare of each campaign's population with them and then
+    // only runs warmStartGenerations generations
+    this.warmStarts = new Map();
+    this.warmStartShare = 0.5;
+    this.warmStartGenerations = 15;
+    // Summary of the most recent run (solver used: 'exact' or the strategies joined with '+', whether the result is proven optimal)
+    this.lastRunInfo = null;
   }
 
   /**
@@ -332,6 +750,47 @@ class ModuleOptimizer {
     return MODULE_CATEGORY_MAP[module.configId] || ModuleCategory.ATTACK;
   }
 
+  /**
+   * Look up the modules to lock into every solution
+   * @returns {Array<ModuleInfo>|null} Locked modules, or null when there are more than slots
+   */
+  _resolveLockedModules(modules, lockedUuids, slotCount = MAX_MODULE_SLOTS) {
+    if (!lockedUuids || lockedUuids.length === 0) return [];
+
+    const wanted = new Set(lockedUuids.map(String));
+    const lockedModules = modules.filter(m => wanted.has(String(m.uuid)));
+    if (lockedModules.length < wanted.size) {
+      this.logger.warn(`${wanted.size - lockedModules.length} locked module(s) not found in inventory, ignoring them.`);
+    }
+    if (lockedModules.length > slotCount) {
+      this.logger.warn(`Cannot lock more than ${slotCount} modules.`);
+      return null;
+    }
+    return lockedModules;
+  }
+
+  /**
+   * Find minimum levels that no combination of the pool can reach
+   * @returns {Array<{attr: string, level: number, maxLevel: number}>} Unreachable constraints
+   */
+  _findUnreachableConstraints(pool, lockedModules, freeSlots, minValues) {
+    const lockedBreakdown = sumAttributes(lockedModules);
+    const unreachable = [];
+
+    for (const [attrName, minValue] of Object.entries(minValues)) {
+      const bestValues = pool
+        .map(m => m.parts.filter(p => p.name === attrName).reduce((sum, p) => sum + p.value, 0))
+        .sort((a, b) => b - a)
+        .slice(0, freeSlots);
+      const maxValue = (lockedBreakdown[attrName] || 0) + bestValues.reduce((a, b) => a + b, 0);
+
+      if (maxValue < minValue) {
+        unreachable.push({ attr: attrName, level: valueToLevel(minValue), maxLevel: valueToLevel(maxValue) });
+      }
+    }
+    return unreachable;
+  }
+
   /**
    * Pre-filter modules to reduce pool size
    */
@@ -372,7 +831,63 @@ class ModuleOptimizer {
   }
 
   /**
-   * Calculate combat power from modules
+   * Drop modules that can never improve a combination. Module A dominates B when both have the
+   * same category, A has at least as much of every attribute the fitness only rewards, and exactly
+   * as much of every other one: attributes outside the query, in a conflicting group or penalized
+   * by the class can cost fitness as well as add to it. B goes once keepCount kept modules dominate
+   * it, so a combination using B can swap in one of them without losing fitness.
+   * The ability score only keeps up when the level power maps and TOTAL_ATTR_POWER_MAP never drop
+   * over the totals a combination can reach; the game data has gaps that score 0, so otherwise
+   * A must also have the same total value as B, which leaves only exact duplicates to drop.
+   * @param {Array<string>|null} prioritizedAttrs - Attributes the fitness rewards; null rewards all of them
+   * @param {Object} classRules - Normalized class rules (see normalizeClassRules)
+   * @param {number} keepCount - Dominators a module needs to be dropped: the slots left to fill
+   * @param {Array<ModuleInfo>} [lockedModules=[]] - Modules in every combination, for the reachable totals
+   */
+  _pruneDominated(modules, prioritizedAttrs, classRules, keepCount, lockedModules = []) {
+    if (keepCount < 1) return modules;
+    const scoreMonotone = isCombatPowerMonotone(modules, keepCount, lockedModules);
+    const mixedAttrs = new Set([...classRules.conflictGroups.flat(2), ...Object.keys(classRules.penalties)]);
+    const queryAttrs = prioritizedAttrs && prioritizedAttrs.length > 0 ? new Set(prioritizedAttrs) : null;
+    const isRewardOnly = (attrName) => (!queryAttrs || queryAttrs.has(attrName)) && !mixedAttrs.has(attrName);
+
+    const entries = modules.map(module => {
+      const values = sumAttributes([module]);
+      const rewardSum = Object.entries(values).reduce((sum, [name, value]) => sum + (isRewardOnly(name) ? value : 0), 0);
+      return { module, category: this.getModuleCategory(module), values, rewardSum, total: moduleTotalValue(module) };
+    });
+    const dominates = (a, b) => {
+      if (a.category !== b.category) return false;
+      if (!scoreMonotone && a.total !== b.total) return false;
+      for (const name of new Set([...Object.keys(a.values), ...Object.keys(b.values)])) {
+        const av = a.values[name] || 0;
+        const bv = b.values[name] || 0;
+        if (isRewardOnly(name) ? av < bv : av !== bv) return false;
+      }
+      return true;
+    };
+
+    // A module's dominators never have a lower reward sum, so they are all decided before it
+    entries.sort((a, b) => b.rewardSum - a.rewardSum);
+    const kept = [];
+    for (const entry of entries) {
+      let dominators = 0;
+      for (const other of kept) {
+        if (dominates(other, entry) && ++dominators >= keepCount) break;
+      }
+      if (dominators < keepCount) kept.push(entry);
+    }
+
+    const keptModules = new Set(kept.map(entry => entry.module));
+    return modules.filter(module => keptModules.has(module));
+  }
+
+  /**
+   * Calculate combat power from modules.
+   * The third element tells where the power comes from: each attribute's threshold-level
+   * power and its proportional share of the total-value bonus, which is earned by the
+   * sum of all attribute values together.
+   * @returns {[number, Object<string, number>, PowerBreakdown]}
    */
   calculateCombatPower(modules) {
     const attrBreakdown = {};
@@ -384,6 +899,7 @@ class ModuleOptimizer {
 
     let thresholdPower = 0;
     const totalAttrValue = Object.values(attrBreakdown).reduce((a, b) => a + b, 0);
+    const attributes = [];
 
     for (const [attrName, attrValue] of Object.entries(attrBreakdown)) {
       let maxLevel = 0;
@@ -391,15 +907,25 @@ class ModuleOptimizer {
         if (attrValue >= threshold) maxLevel++;
       }
       
+      const attrType = ATTR_NAME_TYPE_MAP[attrName] || "basic";
+      let attrPower = 0;
       if (maxLevel > 0) {
-        const attrType = ATTR_NAME_TYPE_MAP[attrName] || "basic";
         const powerMap = attrType === 'special' ? SPECIAL_ATTR_POWER_MAP : BASIC_ATTR_POWER_MAP;
-        thresholdPower += powerMap[maxLevel] || 0;
+        attrPower = powerMap[maxLevel] || 0;
+        thresholdPower += attrPower;
       }
+      attributes.push({ attr: attrName, type: attrType, value: attrValue, level: maxLevel, thresholdPower: attrPower });
     }
 
     const totalAttrPower = TOTAL_ATTR_POWER_MAP[totalAttrValue] || 0;
-    return [thresholdPower + totalAttrPower, attrBreakdown];
+    for (const entry of attributes) {
+      entry.totalValueShare = totalAttrValue > 0 ? totalAttrPower * entry.value / totalAttrValue : 0;
+      entry.power = entry.thresholdPower + entry.totalValueShare;
+    }
+    attributes.sort((a, b) => b.power - a.power);
+
+    const powerBreakdown = { attributes, thresholdPower, totalValue: totalAttrValue, totalValuePower: totalAttrPower };
+    return [thresholdPower + totalAttrPower, attrBreakdown, powerBreakdown];
   }
 
   /**
@@ -408,80 +934,497 @@ class ModuleOptimizer {
   _getAttributeLevelKey(attrBreakdown) {
     const levels = [];
     for (const [attrName, value] of Object.entries(attrBreakdown).sort()) {
-      let levelStr = "(Level 0)";
-      if (value >= 20) levelStr = "(Level 6)";
-      else if (value >= 16) levelStr = "(Level 5)";
-      else if (value >= 12) levelStr = "(Level 4)";
-      else if (value >= 8) levelStr = "(Level 3)";
-      else if (value >= 4) levelStr = "(Level 2)";
-      else if (value >= 1) levelStr = "(Level 1)";
-      levels.push(`${attrName}${levelStr}`);
+      levels.push(`${attrName}(Level ${valueToLevel(value)})`);
     }
     return levels.join(',');
   }
 
   /**
-   * Compute priority sort key
+   * List the attributes that are close to their next level
+   * @returns {Array<{attr: string, value: number, nextLevel: number, missing: number}>}
+   */
+  _getNearMisses(attrBreakdown) {
+    const nearMisses = [];
+    for (const [attrName, value] of Object.entries(attrBreakdown)) {
+      const level = valueToLevel(value);
+      if (level >= ATTR_THRESHOLDS.length) continue;
+      const missing = ATTR_THRESHOLDS[level] - value;
+      if (missing <= this.nearMissGap) {
+        nearMisses.push({ attr: attrName, value, nextLevel: level + 1, missing });
+      }
+    }
+    return nearMisses.sort((a, b) => a.missing - b.missing || b.nextLevel - a.nextLevel);
+  }
+
+  /**
+   * Find single module swaps from the inventory that push an attribute the solution
+   * already has over its next level. Keeps the swap with the best resulting combat power per
+   * attribute; locked modules are never swapped out and minimum levels must still hold.
+   * @param {Array<ModuleInfo>} inventory - Modules that may be swapped in
+   * @returns {Array<{attr: string, fromLevel: number, toLevel: number, outModule: Object, inModule: Object, score: number, scoreDelta: number}>}
+   */
+  _findLevelUpSwaps(solution, inventory, lockedIds, minValues = {}) {
+    const usedIds = new Set(solution.modules.map(m => String(m.uuid)));
+    const bestByAttr = new Map();
+
+    for (const outModule of solution.modules) {
+      if (lockedIds.has(String(outModule.uuid))) continue;
+      const rest = solution.modules.filter(m => m !== outModule);
+
+      for (const inModule of inventory) {
+        if (usedIds.has(String(inModule.uuid))) continue;
+        // Only modules adding to one of the solution's attributes can level it up
+        if (!inModule.parts.some(p => solution.attrBreakdown[p.name] !== undefined)) continue;
+
+        const swapped = [...rest, inModule];
+        const attrBreakdown = sumAttributes(swapped);
+        if (constraintDeficit(attrBreakdown, minValues) > 0) continue;
+
+        let score = null;
+        for (const [attrName, value] of Object.entries(attrBreakdown)) {
+          if (solution.attrBreakdown[attrName] === undefined) continue;
+          const fromLevel = valueToLevel(solution.attrBreakdown[attrName]);
+          const toLevel = valueToLevel(value);
+          if (toLevel <= fromLevel) continue;
+
+          if (score === null) [score] = this.calculateCombatPower(swapped);
+          const current = bestByAttr.get(attrName);
+          if (!current || score > current.score) {
+            bestByAttr.set(attrName, {
+              attr: attrName,
+              fromLevel,
+              toLevel,
+              outModule,
+              inModule,
+              score,
+              scoreDelta: score - solution.score,
+            });
+          }
+        }
+      }
+    }
+
+    return [...bestByAttr.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Look up the modules equipped in each slot and score them as a loadout
+   * @param {Array<ModuleInfo>} inventory - Every module, including excluded ones
+   * @param {Array<{slot: number, uuid: string}>} equippedSlots - Module UUID per equipment slot
+   * @returns {{slots: Array<{slot: number, module: ModuleInfo|null}>, score: number, attrBreakdown: Object}|null}
+   *   Null when no slot data was captured; module is null for empty slots or modules missing from the inventory
+   */
+  _resolveEquipped(inventory, equippedSlots) {
+    if (!equippedSlots || equippedSlots.length === 0) return null;
+
+    const byUuid = new Map(inventory.map(m => [String(m.uuid), m]));
+    const slots = [...equippedSlots]
+      .sort((a, b) => a.slot - b.slot)
+      .map(({ slot, uuid }) => ({ slot, module: byUuid.get(String(uuid)) || null }));
+    const [score, attrBreakdown] = this.calculateCombatPower(slots.filter(s => s.module).map(s => s.module));
+    return { slots, score, attrBreakdown };
+  }
+
+  /**
+   * Compare a solution with the equipped loadout. Modules both share stay where they are;
+   * the others go, in slot order, into the slots that are empty or hold a module the solution drops.
+   * @returns {{scoreDelta: number, levelChanges: Array<{attr: string, fromLevel: number, toLevel: number}>,
+   *   swaps: Array<{slot: number|null, outModule: ModuleInfo|null, inModule: ModuleInfo}>}}
+   */
+  _compareToEquipped(solution, equipped) {
+    const levelChanges = [];
+    const attrs = new Set([...Object.keys(equipped.attrBreakdown), ...Object.keys(solution.attrBreakdown)]);
+    for (const attr of attrs) {
+      const fromLevel = valueToLevel(equipped.attrBreakdown[attr] || 0);
+      const toLevel = valueToLevel(solution.attrBreakdown[attr] || 0);
+      if (fromLevel !== toLevel) levelChanges.push({ attr, fromLevel, toLevel });
+    }
+    levelChanges.sort((a, b) => (b.toLevel - b.fromLevel) - (a.toLevel - a.fromLevel) || a.attr.localeCompare(b.attr));
+
+    const solutionIds = new Set(solution.modules.map(m => String(m.uuid)));
+    const equippedIds = new Set(equipped.slots.filter(s => s.module).map(s => String(s.module.uuid)));
+    const freed = equipped.slots.filter(s => !s.module || !solutionIds.has(String(s.module.uuid)));
+    const swaps = solution.modules
+      .filter(m => !equippedIds.has(String(m.uuid)))
+      .map((inModule, i) => ({
+        slot: i < freed.length ? freed[i].slot : null,
+        outModule: i < freed.length ? freed[i].module : null,
+        inModule,
+      }));
+
+    return { scoreDelta: solution.score - equipped.score, levelChanges, swaps };
+  }
+
+  /**
+   * Keep the solutions that no other solution matches or beats on every objective:
+   * ability score, total effects and the level of each prioritized attribute.
+   * Solutions with identical objectives are collapsed into the first one.
+   */
+  _getParetoFront(solutions, prioritizedAttrs) {
+    const objectives = solutions.map(solution => [
+      solution.score,
+      Object.values(solution.attrBreakdown).reduce((a, b) => a + b, 0),
+      ...(prioritizedAttrs || []).map(attr => valueToLevel(solution.attrBreakdown[attr] || 0)),
+    ]);
+    const dominates = (a, b) => a.every((v, i) => v >= b[i]) && a.some((v, i) => v > b[i]);
+
+    const seen = new Set();
+    return solutions.filter((solution, i) => {
+      const key = objectives[i].join(',');
+      if (seen.has(key)) return false;
+      if (objectives.some(other => dominates(other, objectives[i]))) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Walk ranked solutions in order and keep each one that differs from every solution
+   * already kept by at least minDifference modules, so near-copies of a better build are dropped
+   * @param {Array<ModuleSolution>} solutions - Solutions, best first
+   * @param {number} minDifference - Modules a kept solution must have that each other kept one lacks
    */
-  _computePrioritySortKey(solution, prioritizedAttrs, topK = 4) {
-    function valueToLevel(val) {
-      if (val >= 20) return 6;
-      if (val >= 16) return 5;
-      if (val >= 12) return 4;
-      if (val >= 8) return 3;
-      if (val >= 4) return 2;
-      if (val >= 1) return 1;
-      return 0;
+  _selectDiverse(solutions, minDifference) {
+    const kept = [];
+    const keptIds = [];
+    for (const solution of solutions) {
+      const ids = solution.modules.map(m => String(m.uuid));
+      const distinct = keptIds.every(other => ids.filter(id => !other.has(id)).length >= minDifference);
+      if (!distinct) continue;
+      kept.push(solution);
+      keptIds.push(new Set(ids));
     }
+    return kept;
+  }
 
-    const levels = prioritizedAttrs.map((attr, idx) => ({
-      attr,
-      level: valueToLevel(solution.attrBreakdown[attr] || 0),
-      index: idx
-    }));
+  /**
+   * Compute priority sort key
+   * @param {boolean} [weighted=false] - Break level ties by weighted fitness before combat power
+   */
+  _computePrioritySortKey(solution, prioritizedAttrs, topK = 4, weighted = false) {
+    return prioritySortKey(solution.attrBreakdown, solution.score, solution.optimizationScore, prioritizedAttrs, topK, weighted);
+  }
 
-    // Pick top_k attributes by (level desc, user order asc)
-    levels.sort((a, b) => b.level - a.level || a.index - b.index);
-    const topSelected = levels.slice(0, topK);
+  /**
+   * Parameters of a search strategy
+   */
+  _getStrategyParams(strategy) {
+    if (strategy === 'annealing') return this.annealingParams;
+    if (strategy === 'tabu') return this.tabuParams;
+    return this.gaParams;
+  }
 
-    const counts = { 6: 0, 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
-    let sumLevels = 0;
-    for (const item of topSelected) {
-      if (item.level >= 1) {
-        counts[item.level]++;
-        sumLevels += item.level;
+  /**
+   * Run one campaign of a search strategy on a worker thread
+   * @returns {Promise<Array<{indices: number[], optimizationScore: number}>>}
+   */
+  _runCampaignInWorker(strategy, indexedPool, category, prioritizedAttrs, params, seed, fitnessOptions, progressCallback = null, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
       }
+
+      const worker = new Worker(path.join(__dirname, 'optimizerWorker.js'), {
+        workerData: {
+          strategy,
+          modules: indexedPool,
+          category,
+          prioritizedAttrs,
+          params,
+          seed,
+          fitnessOptions,
+        },
+      });
+
+      let settled = false;
+      const onAbort = () => {
+        settle(reject, signal.reason);
+        worker.terminate();
+      };
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      worker.on('message', (msg) => {
+        if (msg.type === 'progress') {
+          if (progressCallback) progressCallback(msg.progress);
+        } else if (msg.type === 'result') {
+          settle(resolve, msg.solutions);
+        } else if (msg.type === 'error') {
+          settle(reject, new Error(msg.message));
+        }
+      });
+      worker.on('error', (err) => settle(reject, err));
+      worker.on('exit', (code) => settle(reject, new Error(`Worker exited with code ${code}`)));
+    });
+  }
+
+  /**
+   * Run a single campaign of a search strategy, on a worker thread when available.
+   * Both paths search the same index-keyed pool (uuids may be Long objects that do not
+   * survive cloning), so a seed replays identically with or without workers.
+   * @param {string} strategy - Key of SEARCH_STRATEGIES
+   * @param {Array<Array<Object>>} [warmSeeds] - Combinations of free pool modules to start from: the
+   *   GA's initial population, or the starting state of the trajectory searches
+   * @param {{deadline?: number, stallGenerations?: number}} [limits] - Early stop rules (see createStopCheck)
+   */
+  async _runCampaign(strategy, index, workingPool, category, prioritizedAttrs, seed, fitnessOptions, progressCallback = null, signal = null, warmSeeds = [], limits = {}) {
+    const lockedModules = fitnessOptions.lockedModules || [];
+    const toIndexed = (m, i) => ({
+      uuid: i,
+      parts: m.parts.map(p => ({ name: p.name, value: p.value })),
+    });
+    const indexedPool = workingPool.map(toIndexed);
+    // Locked modules get negative keys so they never collide with pool indices
+    const indexedOptions = {
+      ...fitnessOptions,
+      lockedModules: lockedModules.map((m, i) => toIndexed(m, -(i + 1))),
+    };
+    const poolIndex = new Map(workingPool.map((m, i) => [m, i]));
+    const baseParams = { ...this._getStrategyParams(strategy), ...limits };
+    let params = baseParams;
+    if (warmSeeds.length > 0) {
+      params = { ...baseParams, seedPopulation: warmSeeds.map(combo => combo.map(m => poolIndex.get(m))) };
+      if (strategy === 'ga') params.generations = Math.min(baseParams.generations, this.warmStartGenerations);
     }
 
-    return [
-      counts[6], counts[5], counts[4], counts[3], counts[2], counts[1],
-      sumLevels,
-      solution.score || 0,
-      solution.optimizationScore || 0
-    ];
+    let results = null;
+    if (this.useWorkers) {
+      try {
+        results = await this._runCampaignInWorker(strategy, indexedPool, category, prioritizedAttrs, params, seed, indexedOptions, progressCallback, signal);
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        this.logger.warn(`Worker for campaign ${index + 1} failed, running it in-process: ${error.message}`);
+      }
+    }
+
+    if (!results) {
+      // Use setImmediate to yield before starting heavy work
+      await yieldToEventLoop();
+      const population = await SEARCH_STRATEGIES[strategy](
+        indexedPool, category, prioritizedAttrs, params, progressCallback, createRandom(seed),
+        indexedOptions, signal
+      );
+      results = population.map(s => ({ indices: s.modules.map(m => m.uuid), optimizationScore: s.optimizationScore }));
+    }
+
+    return results.map(s => {
+      const solution = new ModuleSolution([...lockedModules, ...s.indices.map(i => workingPool[i])]);
+      solution.optimizationScore = s.optimizationScore;
+      return solution;
+    });
+  }
+
+  /**
+   * Collect the warm-start combinations of each campaign from a cached run.
+   * Locked modules are dropped from the cached combinations, and only those made entirely
+   * of modules still in the pool are kept. Every campaign starts from the cached best
+   * solutions, followed by its share of the cached population.
+   * @param {Object} warmStart - Cache entry: { population, best }, both lists of UUID lists
+   * @returns {Array<Array<Array<Object>>>} Per campaign, the combinations to seed it with
+   */
+  _getWarmSeeds(warmStart, workingPool, lockedIds, freeSlots) {
+    const byUuid = new Map(workingPool.map(m => [String(m.uuid), m]));
+    const limit = Math.floor(this.gaParams.populationSize * this.warmStartShare);
+    const toCombo = (uuids) => {
+      const free = uuids.filter(uuid => !lockedIds.has(uuid));
+      if (free.length !== freeSlots || !free.every(uuid => byUuid.has(uuid))) return null;
+      return free.map(uuid => byUuid.get(uuid));
+    };
+
+    const best = warmStart.best.map(toCombo).filter(Boolean);
+    return Array.from({ length: this.numCampaigns }, (_, i) => {
+      const share = warmStart.population
+        .filter((_, j) => j % this.numCampaigns === i)
+        .map(toCombo)
+        .filter(Boolean);
+      return [...best, ...share].slice(0, limit);
+    });
+  }
+
+  /**
+   * Run numCampaigns campaigns of every strategy, in parallel on the worker pool, and collect
+   * every campaign's final solutions. Strategies' results are simply concatenated; the
+   * caller's dedupe step merges combinations found by more than one of them.
+   * With a time budget, further rounds of campaigns (fresh seeds, no warm start) keep starting
+   * until the deadline, and campaigns still running then stop with the best they have, so
+   * which campaigns ran depends on the machine's speed.
+   * @param {Array<string>} strategies - Keys of SEARCH_STRATEGIES
+   * @param {Array<Array<Array<Object>>>} [warmSeeds] - Per campaign, combinations to start from (see _getWarmSeeds);
+   *   each strategy's campaign i uses warmSeeds[i]
+   * @param {{timeBudgetMs?: number, stallGenerations?: number}} [limits] - Search for this long instead of
+   *   one round of campaigns; end each campaign after this many generations without improvement
+   * @returns {Promise<{solutions: Array<ModuleSolution>, campaignCount: number}>}
+   */
+  async _runSearchCampaigns(strategies, workingPool, category, prioritizedAttrs, seed, fitnessOptions, progressCallback = null, signal = null, warmSeeds = null, limits = {}) {
+    // Task i is campaign i % numCampaigns of strategy (i / numCampaigns) % strategies.length,
+    // so the GA's seeds match a GA-only run
+    const taskCount = strategies.length * this.numCampaigns;
+    const startTime = Date.now();
+    const deadline = limits.timeBudgetMs > 0 ? startTime + limits.timeBudgetMs : null;
+    const campaignLimits = { deadline, stallGenerations: limits.stallGenerations || 0 };
+    const strategyOf = (i) => strategies[Math.floor(i / this.numCampaigns) % strategies.length];
+    // Results are kept per task so the merge order does not depend on which worker finishes first
+    const campaignResults = [];
+
+    // Overall progress is the share of the time budget used, or else the average of the tasks' generation progress
+    const campaignProgress = new Array(taskCount).fill(0);
+    let bestFitness = null;
+    let nextCampaign = 0;
+    const report = (i, generation, generations, campaignBest) => {
+      if (i < taskCount) campaignProgress[i] = generation / generations;
+      if (campaignBest !== null && (bestFitness === null || campaignBest > bestFitness)) bestFitness = campaignBest;
+      if (!progressCallback) return;
+      const strategy = strategyOf(i);
+      const progress = deadline
+        ? Math.min(1, (Date.now() - startTime) / limits.timeBudgetMs)
+        : campaignProgress.reduce((a, b) => a + b, 0) / taskCount;
+      const campaigns = deadline ? nextCampaign : taskCount;
+      progressCallback(createProgressEvent(strategy, progress, startTime, {
+        campaign: i,
+        campaigns,
+        generation,
+        generations,
+        bestFitness,
+        message: `Campaign ${i + 1}/${campaigns} (${strategy}): step ${generation}/${generations}`,
+      }));
+    };
+    if (progressCallback) {
+      progressCallback(createProgressEvent(strategies[0], 0, startTime, {
+        campaigns: taskCount,
+        message: `Running ${taskCount} optimization tasks...`,
+      }));
+    }
+
+    const concurrency = this.useWorkers ? Math.min(this.maxWorkers, taskCount) : 1;
+    let completed = 0;
+    const hasNextTask = () => (deadline ? Date.now() < deadline : nextCampaign < taskCount);
+
+    // Each runner takes the next pending task until none are left, or the time budget runs out
+    const runner = async () => {
+      while (hasNextTask()) {
+        const i = nextCampaign++;
+        const strategy = strategyOf(i);
+        const campaign = i % this.numCampaigns;
+        try {
+          const campaignCallback = ({ generation, generations, bestFitness: campaignBest }) =>
+            report(i, generation, generations, campaignBest);
+          const results = await this._runCampaign(
+            strategy, campaign, workingPool, category, prioritizedAttrs, campaignSeed(seed, i), fitnessOptions,
+            campaignCallback, signal, warmSeeds && i < taskCount ? warmSeeds[campaign] : [], campaignLimits
+          );
+          completed++;
+          // Campaigns stopped for lack of improvement count as finished
+          if (i < taskCount) campaignProgress[i] = 1;
+
+          if (results.length > 0) {
+            campaignResults[i] = results;
+            this.logger.debug(`Task ${completed}/${deadline ? nextCampaign : taskCount} (${strategy}) completed. Highest score: ${results[0].optimizationScore.toFixed(2)}`);
+          }
+        } catch (error) {
+          // Cancellation ends the whole run, not just this campaign
+          if (signal && signal.aborted) throw error;
+          this.logger.error(`Error in ${strategy} campaign ${campaign + 1}: ${error.message}`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, runner));
+    return { solutions: campaignResults.flat(), campaignCount: nextCampaign };
   }
 
   /**
    * Main optimization method
+   * @param {Object} [options]
+   * @param {string} [options.solver='auto'] - 'auto', 'exact' or 'ga'; 'auto' solves exactly when the pool is small enough,
+   *   'ga' always runs the heuristic search strategies
+   * @param {Array<string>} [options.strategies=['ga']] - Heuristic search strategies (keys of SEARCH_STRATEGIES);
+   *   with several, each runs its campaigns and their solutions are merged
+   * @param {number} [options.seed] - Seed for the GA's random choices; a fresh one is picked when omitted
+   * @param {number} [options.timeBudgetMs] - Keep running search campaigns for this long and return the best
+   *   seen (see _runSearchCampaigns); a seed then no longer replays the run exactly
+   * @param {number} [options.stallGenerations] - End a search campaign once its best fitness has not improved
+   *   for this many generations or steps
+   * @param {Array<string>} [options.lockedUuids] - UUIDs of modules that must be part of every solution
+   * @param {Array<string>} [options.excludedUuids] - UUIDs of modules that must never appear in a solution
+   * @param {Object<string, number>} [options.minLevels] - Hard minimum level (1..6) per attribute
+   * @param {number} [options.slotCount=4] - Modules per loadout, for characters with fewer slots unlocked
+   * @param {Object} [options.weightProfile] - Weight profile used for fitness and the final ranking
+   * @param {Object} [options.classProfile] - Class rule profile used for fitness (see normalizeClassRules)
+   * @param {boolean} [options.paretoFront] - Only return the non-dominated solutions (see _getParetoFront)
+   * @param {boolean} [options.dedupeLevels=true] - Keep one solution per attribute-level signature; the
+   *   others with that signature are listed, best first, in its equivalentBuilds
+   * @param {number} [options.minDifference=0] - Modules each returned solution must differ by from every
+   *   other one (see _selectDiverse); capped at the slots left free by locked modules
+   * @param {boolean} [options.warmStart] - Seed the GA with the last population cached for this category,
+   *   rescored under the new criteria. Defaults to true unless a seed is given, so seeded runs replay exactly;
+   *   a warm-started run reports no seed in lastRunInfo. When false, the run's solutions are not cached either.
+   * @param {Array<{slot: number, uuid: string}>} [options.equippedSlots] - Currently equipped modules; each
+   *   returned solution then carries an equippedDelta against them (see _compareToEquipped)
+   * @param {AbortSignal} [options.signal] - Cancels the run; the returned promise then rejects with an AbortError
    */
-  async optimizeModules(modules, category, topN = 40, prioritizedAttrs = null, priorityOrderMode = false, progressCallback = null) {
+  async optimizeModules(modules, category, topN = 40, prioritizedAttrs = null, priorityOrderMode = false, progressCallback = null, options = {}) {
     // Starting optimization
+    const solver = options.solver || 'auto';
+    const strategies = resolveStrategies(options.strategies);
+    const signal = options.signal || null;
+    if (signal) signal.throwIfAborted();
+    const seed = resolveSeed(options.seed);
+    const weights = options.weightProfile ? normalizeWeights(options.weightProfile) : null;
+    const classRules = options.classProfile ? normalizeClassRules(options.classProfile) : DEFAULT_CLASS_RULES;
+    const cacheWarmStart = options.warmStart !== false;
+    const useWarmStart = options.warmStart !== undefined
+      ? options.warmStart
+      : options.seed === null || options.seed === undefined || options.seed === '';
+    this.lastRunInfo = null;
+    // Equipped modules are scored even when excluded from the search
+    const equipped = this._resolveEquipped(modules, options.equippedSlots);
+
+    // Drop excluded modules before anything else sees them
+    if (options.excludedUuids && options.excludedUuids.length > 0) {
+      const excludedIds = new Set(options.excludedUuids.map(String));
+      modules = modules.filter(m => !excludedIds.has(String(m.uuid)));
+    }
+
+    // Locked modules join every combination, whatever their category
+    const slotCount = resolveSlotCount(options.slotCount);
+    const lockedModules = this._resolveLockedModules(modules, options.lockedUuids, slotCount);
+    if (lockedModules === null) return [];
+    const lockedIds = new Set(lockedModules.map(m => String(m.uuid)));
+    const freeSlots = slotCount - lockedModules.length;
+
+    // Minimum levels become minimum attribute values
+    const minValues = {};
+    for (const [attrName, level] of Object.entries(options.minLevels || {})) {
+      if (level > 0) minValues[attrName] = levelToMinValue(level);
+    }
+    const constrainedAttrs = Object.keys(minValues);
+    // Constrained attributes must survive the attribute filters even when not selected
+    const filterAttrs = prioritizedAttrs && prioritizedAttrs.length > 0
+      ? [...new Set([...prioritizedAttrs, ...constrainedAttrs])]
+      : prioritizedAttrs;
 
     // Filter by category
-    let modulePool = category === ModuleCategory.All 
+    const categoryModules = category === ModuleCategory.All 
       ? modules 
       : modules.filter(m => this.getModuleCategory(m) === category);
+    let modulePool = categoryModules.filter(m => !lockedIds.has(String(m.uuid)));
 
     // Filter by prioritized attributes
-    if (prioritizedAttrs && prioritizedAttrs.length > 0) {
-      const prioritizedSet = new Set(prioritizedAttrs);
+    if (filterAttrs && filterAttrs.length > 0) {
+      const prioritizedSet = new Set(filterAttrs);
       modulePool = modulePool.filter(m => m.parts.some(p => prioritizedSet.has(p.name)));
     }
 
     // Preliminary check
     if (prioritizedAttrs && prioritizedAttrs.length > 0) {
       const availableAttrs = new Set();
-      for (const m of modulePool) {
+      for (const m of [...lockedModules, ...modulePool]) {
         for (const p of m.parts) availableAttrs.add(p.name);
       }
       const prioritizedSet = new Set(prioritizedAttrs);
@@ -492,53 +1435,110 @@ class ModuleOptimizer {
       }
     }
 
-    const candidateModules = this.prefilterModules(modulePool, prioritizedAttrs);
-    if (candidateModules.length < 4) {
-      this.logger.warn("Less than 4 modules after pre-filtering.");
+    // Dominated modules go before the pre-filter, so its top-N lists fill up with modules that can matter
+    const prunedPool = this.dominancePruning
+      ? this._pruneDominated(modulePool, prioritizedAttrs, classRules, freeSlots, lockedModules)
+      : modulePool;
+    const prunedCount = modulePool.length - prunedPool.length;
+    if (prunedCount > 0) this.logger.debug(`Dominance pruning dropped ${prunedCount} of ${modulePool.length} modules`);
+
+    // The exact search checks every module left after dominance pruning. Pruning only drops a module
+    // when fitness and ability score cannot drop by swapping in one of its dominators (see
+    // isCombatPowerMonotone), so the exact result is optimal for the whole query under rankKey and
+    // can be reported as proven. The heuristic search works on a smaller pre-filtered pool.
+    const exactCombinationCount = binomial(prunedPool.length, freeSlots);
+    const useExact = freeSlots === 0 || solver === 'exact' ||
+      (solver === 'auto' && exactCombinationCount <= this.exactMaxCombinations);
+
+    let candidateModules = prunedPool;
+    let workingPool = prunedPool;
+    if (!useExact) {
+      candidateModules = this.prefilterModules(prunedPool, filterAttrs);
+      const highQualityModules = candidateModules.filter(m =>
+        m.parts.reduce((sum, p) => sum + p.value, 0) >= this.qualityThreshold
+      );
+      workingPool = highQualityModules.length >= freeSlots ? highQualityModules : candidateModules;
+    }
+    if (candidateModules.length < freeSlots) {
+      this.logger.warn(`Less than ${freeSlots} modules after pre-filtering.`);
       return [];
     }
 
-    const highQualityModules = candidateModules.filter(m => 
-      m.parts.reduce((sum, p) => sum + p.value, 0) >= this.qualityThreshold
-    );
-    const lowQualityModules = candidateModules.filter(m =>
-      m.parts.reduce((sum, p) => sum + p.value, 0) < this.qualityThreshold
-    );
-
     // Module pooling completed
 
-    const workingPool = highQualityModules.length >= 4 ? highQualityModules : candidateModules;
-
-    // Run GA campaigns sequentially
-    const allBestSolutions = [];
-    if (progressCallback) progressCallback(`Running ${this.numCampaigns} optimization tasks...`);
+    // Minimum levels: fall back to the full candidate pool if low-quality modules are needed,
+    // and stop early when a level cannot be reached by any combination
+    if (constrainedAttrs.length > 0) {
+      let unreachable = this._findUnreachableConstraints(workingPool, lockedModules, freeSlots, minValues);
+      if (unreachable.length > 0 && workingPool !== candidateModules) {
+        workingPool = candidateModules;
+        unreachable = this._findUnreachableConstraints(workingPool, lockedModules, freeSlots, minValues);
+      }
+      if (unreachable.length > 0) {
+        this.logger.warn(`Minimum levels unreachable: ${unreachable.map(c => `${c.attr} Lv.${c.level}`).join(', ')}`);
+        this.lastRunInfo = { unsatisfiedConstraints: unreachable, constraintsJointlyInfeasible: false, seed };
+        return [];
+      }
+    }
 
-    // Execute campaigns with yielding
-    for (let i = 0; i < this.numCampaigns; i++) {
-      try {
-        // Use setImmediate to yield before starting heavy work
-        await yieldToEventLoop();
-        
-        const results = await runSingleGaCampaignAsync(
-          workingPool, 
-          category, 
-          prioritizedAttrs, 
-          this.gaParams,
-          progressCallback
-        );
-        
-        if (results.length > 0) {
-          allBestSolutions.push(...results);
-          const bestScore = results[0].optimizationScore;
-          if (progressCallback) {
-            progressCallback(`Task ${i + 1}/${this.numCampaigns} completed. Highest score: ${bestScore.toFixed(2)}`);
-          }
-        }
-        
-        await yieldToEventLoop(); // Yield after each campaign
-      } catch (error) {
-        this.logger.error(`Error in campaign ${i + 1}: ${error.message}`);
+    const fitnessOptions = { lockedModules, minValues, weights: weights || DEFAULT_WEIGHTS, classRules, slotCount };
+    const combinationCount = binomial(workingPool.length, freeSlots);
+    // Results are ranked, and the exact search keeps and bounds them, by this key (see compareRankKeys)
+    const rankKey = prioritizedAttrs && priorityOrderMode
+      ? (attrBreakdown, score, fitness) => prioritySortKey(attrBreakdown, score, fitness, prioritizedAttrs, 4, weights !== null)
+      : weights
+        ? (attrBreakdown, score, fitness) => [fitness, score]
+        : (attrBreakdown, score) => [score];
+
+    let allBestSolutions;
+    let warmSeedCount = 0;
+    let campaignCount = 0;
+    if (useExact) {
+      const startTime = Date.now();
+      const exactCallback = progressCallback
+        ? ({ progress, bestFitness }) => progressCallback(createProgressEvent('exact', progress, startTime, {
+          bestFitness,
+          message: `Exact search: ${Math.round(progress * 100)}% of ${combinationCount} combinations`,
+        }))
+        : null;
+      if (exactCallback) exactCallback({ progress: 0, bestFitness: null });
+      allBestSolutions = await runExactSearchAsync(
+        workingPool,
+        category,
+        prioritizedAttrs,
+        this.gaParams.populationSize,
+        exactCallback,
+        fitnessOptions,
+        signal,
+        rankKey
+      );
+    } else {
+      const warmStart = useWarmStart ? this.warmStarts.get(category) : null;
+      const warmSeeds = warmStart ? this._getWarmSeeds(warmStart, workingPool, lockedIds, freeSlots) : null;
+      if (warmSeeds) {
+        warmSeedCount = Math.max(...warmSeeds.map(s => s.length));
+        if (warmSeedCount > 0) this.logger.info(`Warm start: seeding campaigns with up to ${warmSeedCount} cached combinations`);
       }
+      const search = await this._runSearchCampaigns(
+        strategies, workingPool, category, prioritizedAttrs, seed, fitnessOptions, progressCallback, signal, warmSeeds,
+        { timeBudgetMs: options.timeBudgetMs, stallGenerations: options.stallGenerations }
+      );
+      allBestSolutions = search.solutions;
+      campaignCount = search.campaignCount;
+    }
+
+    // Discard combinations that miss a minimum level
+    allBestSolutions = allBestSolutions.filter(sol => constraintDeficit(sumAttributes(sol.modules), minValues) === 0);
+    if (allBestSolutions.length === 0 && constrainedAttrs.length > 0) {
+      // Each level is reachable on its own, but not all of them at once
+      this.logger.warn("No combination reaches all minimum levels at once.");
+      this.lastRunInfo = {
+        unsatisfiedConstraints: constrainedAttrs.map(attr => ({ attr, level: valueToLevel(minValues[attr]) })),
+        constraintsJointlyInfeasible: true,
+        provenOptimal: useExact,
+        seed,
+      };
+      return [];
     }
 
     // Deduplicate and finalize
@@ -555,46 +1555,349 @@ class ModuleOptimizer {
     // Calculate combat power for all solutions
     for (const solution of finalResults) {
       if (Object.keys(solution.attrBreakdown).length === 0) {
-        [solution.score, solution.attrBreakdown] = this.calculateCombatPower(solution.modules);
+        [solution.score, solution.attrBreakdown, solution.powerBreakdown] = this.calculateCombatPower(solution.modules);
       }
     }
 
-    // Deduplicate by attribute-level signature
+    // Group by attribute-level signature; the first solution of each group stands for it
     const solutionsByAttrLevel = new Map();
     for (const solution of finalResults) {
       const key = this._getAttributeLevelKey(solution.attrBreakdown);
       if (!solutionsByAttrLevel.has(key)) {
-        solutionsByAttrLevel.set(key, solution);
+        solutionsByAttrLevel.set(key, []);
       }
+      solutionsByAttrLevel.get(key).push(solution);
     }
 
-    const deduplicatedSolutions = [...solutionsByAttrLevel.values()];
+    // Multi-objective mode keeps every trade-off, including builds that share a level signature;
+    // disjoint loadouts need those alternatives too, since they use different modules
+    let deduplicatedSolutions;
+    if (options.paretoFront) {
+      deduplicatedSolutions = this._getParetoFront(finalResults, prioritizedAttrs);
+    } else if (options.dedupeLevels === false) {
+      deduplicatedSolutions = finalResults;
+    } else {
+      // The other builds of a group reach the same levels with different modules, which matters
+      // when a module has to stay free, so they travel with the group's solution
+      deduplicatedSolutions = [...solutionsByAttrLevel.values()].map(([solution, ...equivalents]) => {
+        solution.equivalentBuilds = equivalents.sort((a, b) => b.score - a.score);
+        return solution;
+      });
+    }
 
-    // Sort by priority or score
-    if (prioritizedAttrs && priorityOrderMode) {
-      deduplicatedSolutions.sort((a, b) => {
-        const keyA = this._computePrioritySortKey(a, prioritizedAttrs);
-        const keyB = this._computePrioritySortKey(b, prioritizedAttrs);
-        for (let i = 0; i < keyA.length; i++) {
-          if (keyB[i] !== keyA[i]) return keyB[i] - keyA[i];
-        }
-        return 0;
+    // Sort by priority or score; a weight profile ranks by its weighted fitness before combat power
+    const keyOf = (solution) => rankKey(solution.attrBreakdown, solution.score, solution.optimizationScore);
+    deduplicatedSolutions.sort((a, b) => compareRankKeys(keyOf(b), keyOf(a)));
+
+    // Diversity: drop solutions too close to a better-ranked one
+    const minDifference = Math.min(Math.max(0, Math.floor(options.minDifference) || 0), freeSlots);
+    if (minDifference > 0) {
+      deduplicatedSolutions = this._selectDiverse(deduplicatedSolutions, minDifference);
+    }
+
+    // Remember this run's population so the next one for this category can start from it
+    if (cacheWarmStart) {
+      const toUuids = (sol) => sol.modules.map(m => String(m.uuid));
+      this.warmStarts.set(category, {
+        population: allBestSolutions.map(toUuids),
+        best: deduplicatedSolutions.slice(0, topN).map(toUuids),
       });
-    } else {
-      deduplicatedSolutions.sort((a, b) => b.score - a.score);
     }
 
+    this.lastRunInfo = {
+      solver: useExact ? 'exact' : strategies.join('+'),
+      strategies: useExact ? [] : strategies,
+      provenOptimal: useExact,
+      poolSize: workingPool.length,
+      prunedCount,
+      slotCount,
+      lockedCount: lockedModules.length,
+      excludedCount: (options.excludedUuids || []).length,
+      unsatisfiedConstraints: [],
+      constraintsJointlyInfeasible: false,
+      combinationCount,
+      campaignCount,
+      timeBudgetMs: useExact ? 0 : options.timeBudgetMs || 0,
+      stallGenerations: useExact ? 0 : options.stallGenerations || 0,
+      // A warm-started result depends on the cached population, so its seed alone cannot replay it
+      seed: warmSeedCount > 0 ? null : seed,
+      weightProfile: options.weightProfile ? options.weightProfile.name || null : null,
+      classProfile: options.classProfile ? options.classProfile.name || null : null,
+      paretoFront: Boolean(options.paretoFront),
+      paretoAttrs: options.paretoFront ? prioritizedAttrs || [] : [],
+      minDifference,
+      warmStart: warmSeedCount > 0,
+      equipped,
+    };
+
     // Optimization completed
-    if (progressCallback) progressCallback(`Completed! Found ${deduplicatedSolutions.length} unique combinations.`);
+    if (progressCallback) {
+      const suffix = useExact ? ' (proven optimal)' : '';
+      progressCallback(createProgressEvent('done', 1, Date.now(), {
+        solutionCount: deduplicatedSolutions.length,
+        bestFitness: deduplicatedSolutions.length > 0 ? Math.max(...deduplicatedSolutions.map(s => s.optimizationScore)) : null,
+        message: `Completed! Found ${deduplicatedSolutions.length} unique combinations${suffix}.`,
+      }));
+    }
+
+    const topSolutions = deduplicatedSolutions.slice(0, topN);
+    for (const solution of topSolutions) {
+      solution.nearMisses = this._getNearMisses(solution.attrBreakdown);
+      solution.levelUpSwaps = this._findLevelUpSwaps(solution, categoryModules, lockedIds, minValues);
+      if (equipped) solution.equippedDelta = this._compareToEquipped(solution, equipped);
+    }
+    return topSolutions;
+  }
+
+  /**
+   * Optimize several builds from one inventory so that no module is used by two of them.
+   * Each build is optimized on its own first; the disjoint set with the best weighted
+   * combat power is then picked from their candidates by branch-and-bound. When the
+   * candidates always overlap, builds are filled greedily, heaviest weight first, each
+   * excluding the modules already taken. An aborted options.signal stops the run, the disjoint
+   * search included, with an AbortError.
+   * @param {Array<Object>} specs - Builds: { name, category, prioritizedAttrs, priorityOrderMode, weight, options },
+   *   where options holds optimizeModules options for that build only (e.g. minLevels, lockedUuids, weightProfile)
+   * @param {Object} [options] - optimizeModules options shared by every build (e.g. seed, solver, excludedUuids)
+   * @returns {Promise<Array<ModuleSolution>>} One solution per spec in spec order, each tagged with
+   *   loadoutName, or [] when the inventory cannot fill every build
+   */
+  async optimizeLoadouts(modules, specs, progressCallback = null, options = {}) {
+    const seed = resolveSeed(options.seed);
+    const weightOf = (spec) => (Number.isFinite(spec.weight) && spec.weight >= 0 ? spec.weight : 1);
+    // Each build takes an equal share of the progress bar; the builds' own 'done' events are dropped
+    let startTime = Date.now();
+    const optimizeSpec = (spec, index, extraExcluded = []) => {
+      const loadoutName = spec.name || `Build ${index + 1}`;
+      const specProgress = progressCallback
+        ? (event) => {
+          if (event.stage === 'done') return;
+          const { progress: buildProgress, etaMs, ...details } = event;
+          progressCallback(createProgressEvent(event.stage, (index + buildProgress) / specs.length, startTime, {
+            ...details,
+            loadout: index,
+            loadouts: specs.length,
+            loadoutName,
+            message: `[${loadoutName}] ${event.message}`,
+          }));
+        }
+        : null;
+      // Builds keep the warm-start cache out of it, so it stays that of the last single-build run,
+      // and share the time budget equally
+      const specOptions = {
+        ...options,
+        timeBudgetMs: options.timeBudgetMs > 0 ? options.timeBudgetMs / specs.length : 0,
+        ...(spec.options || {}),
+        seed, dedupeLevels: false, paretoFront: false, minDifference: 0, warmStart: false,
+      };
+      specOptions.excludedUuids = [...(options.excludedUuids || []), ...extraExcluded];
+      return this.optimizeModules(
+        modules,
+        spec.category || ModuleCategory.All,
+        this.loadoutCandidateCount,
+        spec.prioritizedAttrs || null,
+        spec.priorityOrderMode || false,
+        specProgress,
+        specOptions
+      );
+    };
+
+    // Candidates per build, best weighted score first
+    const candidates = [];
+    for (let i = 0; i < specs.length; i++) {
+      const results = await optimizeSpec(specs[i], i);
+      if (results.length === 0) {
+        this.logger.warn(`No combination found for loadout ${specs[i].name || i + 1}.`);
+        this.lastRunInfo = { mode: 'loadouts', loadoutCount: specs.length, failedLoadout: specs[i].name || null, seed };
+        return [];
+      }
+      candidates.push(results
+        .map(solution => ({ solution, value: solution.score * weightOf(specs[i]), ids: solution.modules.map(m => String(m.uuid)) }))
+        .sort((a, b) => b.value - a.value));
+    }
+
+    // Branch-and-bound over one candidate per build. With many builds the space is large, so
+    // the event loop gets a turn (and a cancellation a chance to land) every few milliseconds
+    const signal = options.signal || null;
+    const bestRemaining = candidates.map(list => list[0].value);
+    for (let i = bestRemaining.length - 2; i >= 0; i--) bestRemaining[i] += bestRemaining[i + 1];
+    let best = null;
+    let bestValue = -Infinity;
+    const chosen = [];
+    const used = new Set();
+    let lastYield = Date.now();
+    const search = async (depth, value) => {
+      if (depth === candidates.length) {
+        if (value > bestValue) {
+          bestValue = value;
+          best = [...chosen];
+        }
+        return;
+      }
+      if (Date.now() - lastYield > 50) {
+        await yieldToEventLoop();
+        if (signal) signal.throwIfAborted();
+        lastYield = Date.now();
+      }
+      for (const candidate of candidates[depth]) {
+        if (value + candidate.value + (bestRemaining[depth + 1] || 0) <= bestValue) break;
+        if (candidate.ids.some(id => used.has(id))) continue;
+        candidate.ids.forEach(id => used.add(id));
+        chosen.push(candidate);
+        await search(depth + 1, value + candidate.value);
+        chosen.pop();
+        candidate.ids.forEach(id => used.delete(id));
+      }
+    };
+    await search(0, 0);
+
+    let solutions = best ? best.map(c => c.solution) : null;
+    if (!solutions) {
+      this.logger.info("Candidates overlap, filling loadouts one at a time...");
+      startTime = Date.now();
+      solutions = new Array(specs.length);
+      const taken = [];
+      const order = specs.map((spec, i) => i).sort((a, b) => weightOf(specs[b]) - weightOf(specs[a]));
+      for (const i of order) {
+        const results = await optimizeSpec(specs[i], i, taken);
+        if (results.length === 0) {
+          this.logger.warn(`Not enough modules left for loadout ${specs[i].name || i + 1}.`);
+          this.lastRunInfo = { mode: 'loadouts', loadoutCount: specs.length, failedLoadout: specs[i].name || null, seed };
+          return [];
+        }
+        solutions[i] = results[0];
+        taken.push(...results[0].modules.map(m => String(m.uuid)));
+      }
+      bestValue = solutions.reduce((sum, sol, i) => sum + sol.score * weightOf(specs[i]), 0);
+    }
+
+    solutions.forEach((solution, i) => {
+      solution.loadoutName = specs[i].name || `Build ${i + 1}`;
+    });
+    this.lastRunInfo = {
+      mode: 'loadouts',
+      loadoutCount: specs.length,
+      weightedScore: bestValue,
+      greedy: !best,
+      seed,
+      equipped: this._resolveEquipped(modules, options.equippedSlots),
+    };
+    if (progressCallback) {
+      progressCallback(createProgressEvent('done', 1, Date.now(), {
+        solutionCount: solutions.length,
+        message: `Completed! Found ${specs.length} disjoint loadouts.`,
+      }));
+    }
+    return solutions;
+  }
+
+  /**
+   * Find the best loadouts reachable from a starting loadout by replacing at most
+   * maxSwaps of its modules. Every way of keeping part of the starting loadout is
+   * optimized on its own, with the kept modules locked and the dropped ones excluded,
+   * so each solution differs from the start by exactly its number of swaps.
+   * Solutions that do not beat the start are dropped; the rest are ranked by score gain per swap.
+   * @param {Object} [options] - optimizeModules options, plus:
+   * @param {number} options.maxSwaps - Most modules that may be replaced (K)
+   * @param {Array<string>} [options.baseUuids] - Starting loadout; defaults to the modules in options.equippedSlots
+   * @returns {Promise<Array<ModuleSolution>>} Solutions with equippedDelta measured against the starting
+   *   loadout and gainPerSwap set, or [] when there is no starting loadout or no improvement
+   */
+  async optimizeSwaps(modules, category, topN = 40, prioritizedAttrs = null, priorityOrderMode = false, progressCallback = null, options = {}) {
+    const seed = resolveSeed(options.seed);
+    const slotCount = resolveSlotCount(options.slotCount);
+    const maxSwaps = Math.max(1, Math.min(Math.floor(options.maxSwaps) || 1, slotCount));
+    const baseSource = options.baseUuids && options.baseUuids.length > 0 ? 'manual' : 'equipped';
+    const runInfo = { mode: 'swaps', maxSwaps, baseSource, seed };
+
+    let base;
+    if (baseSource === 'manual') {
+      const byUuid = new Map(modules.map(m => [String(m.uuid), m]));
+      const baseModules = options.baseUuids.map(uuid => byUuid.get(String(uuid))).filter(Boolean);
+      const [score, attrBreakdown] = this.calculateCombatPower(baseModules);
+      base = { slots: baseModules.map((module, i) => ({ slot: i + 1, module })), score, attrBreakdown };
+    } else {
+      base = this._resolveEquipped(modules, options.equippedSlots);
+    }
+    const baseModules = base ? base.slots.filter(s => s.module).map(s => s.module) : [];
+    if (baseModules.length === 0) {
+      this.logger.warn("No starting loadout to swap modules from.");
+      this.lastRunInfo = { ...runInfo, missingBase: true };
+      return [];
+    }
+
+    // Ways to keep part of the starting loadout: locked modules must stay, and the slots left over take the swaps
+    const lockedIds = new Set((options.lockedUuids || []).map(String));
+    const keepSets = [];
+    for (let mask = 0; mask < (1 << baseModules.length); mask++) {
+      const kept = baseModules.filter((m, i) => mask & (1 << i));
+      const dropped = baseModules.filter((m, i) => !(mask & (1 << i)));
+      const swaps = slotCount - kept.length;
+      if (swaps < 1 || swaps > maxSwaps) continue;
+      if (dropped.some(m => lockedIds.has(String(m.uuid)))) continue;
+      keepSets.push({ kept, dropped });
+    }
+
+    const startTime = Date.now();
+    const byCombination = new Map();
+    let provenOptimal = true;
+    for (let i = 0; i < keepSets.length; i++) {
+      const { kept, dropped } = keepSets[i];
+      const subProgress = progressCallback
+        ? (event) => {
+          if (event.stage === 'done') return;
+          const { progress: subsetProgress, etaMs, ...details } = event;
+          progressCallback(createProgressEvent(event.stage, (i + subsetProgress) / keepSets.length, startTime, {
+            ...details,
+            message: `[${i + 1}/${keepSets.length}] ${event.message}`,
+          }));
+        }
+        : null;
+      const results = await this.optimizeModules(modules, category, topN, prioritizedAttrs, priorityOrderMode, subProgress, {
+        ...options,
+        seed,
+        lockedUuids: [...new Set([...lockedIds, ...kept.map(m => String(m.uuid))])],
+        excludedUuids: [...(options.excludedUuids || []), ...dropped.map(m => String(m.uuid))],
+        // Each way of keeping part of the loadout gets an equal share of the time budget
+        timeBudgetMs: options.timeBudgetMs > 0 ? options.timeBudgetMs / keepSets.length : 0,
+        paretoFront: false,
+        minDifference: 0,
+        warmStart: false,
+        equippedSlots: undefined,
+      });
+      if (this.lastRunInfo && this.lastRunInfo.solver) provenOptimal = provenOptimal && this.lastRunInfo.provenOptimal;
+
+      for (const solution of results) {
+        const id = solution.getCombinationId();
+        if (byCombination.has(id)) continue;
+        solution.equippedDelta = this._compareToEquipped(solution, base);
+        if (solution.equippedDelta.scoreDelta <= 0 || solution.equippedDelta.swaps.length === 0) continue;
+        solution.gainPerSwap = solution.equippedDelta.scoreDelta / solution.equippedDelta.swaps.length;
+        byCombination.set(id, solution);
+      }
+    }
 
-    return deduplicatedSolutions.slice(0, topN);
+    let solutions = [...byCombination.values()]
+      .sort((a, b) => b.gainPerSwap - a.gainPerSwap || b.equippedDelta.scoreDelta - a.equippedDelta.scoreDelta);
+    const minDifference = Math.min(Math.max(0, Math.floor(options.minDifference) || 0), slotCount);
+    if (minDifference > 0) solutions = this._selectDiverse(solutions, minDifference);
+    solutions = solutions.slice(0, topN);
+    this.lastRunInfo = { ...runInfo, provenOptimal, slotCount, minDifference, equipped: base };
+    if (progressCallback) {
+      progressCallback(createProgressEvent('done', 1, Date.now(), {
+        solutionCount: solutions.length,
+        message: `Completed! Found ${solutions.length} improvements within ${maxSwaps} swaps.`,
+      }));
+    }
+    return solutions;
   }
 
   /**
    * Get optimal solutions (public API)
+   * @param {Object} [options] - See optimizeModules; pass options.signal to make the run cancellable
    */
-  async getOptimalSolutions(modules, category = ModuleCategory.All, topN = 40, prioritizedAttrs = null, priorityOrderMode = false, progressCallback = null) {
-    const optimalSolutions = await this.optimizeModules(modules, category, topN, prioritizedAttrs, priorityOrderMode, progressCallback);
+  async getOptimalSolutions(modules, category = ModuleCategory.All, topN = 40, prioritizedAttrs = null, priorityOrderMode = false, progressCallback = null, options = {}) {
+    const optimalSolutions = await this.optimizeModules(modules, category, topN, prioritizedAttrs, priorityOrderMode, progressCallback, options);
     return optimalSolutions;
   }
 
@@ -611,25 +1914,71 @@ function yieldToEventLoop() {
   return new Promise(resolve => setImmediate(resolve));
 }
 
+/**
+ * Stop rule shared by the search strategies. Call the returned function with the best fitness
+ * after every generation or step; it returns true once params.deadline (a Date.now() timestamp)
+ * has passed, or the best fitness has not improved for params.stallGenerations calls.
+ */
+function createStopCheck(params) {
+  let best = -Infinity;
+  let staleCount = 0;
+  return (bestFitness) => {
+    if (bestFitness > best) {
+      best = bestFitness;
+      staleCount = 0;
+    } else {
+      staleCount++;
+    }
+    if (params.stallGenerations > 0 && staleCount >= params.stallGenerations) return true;
+    return Boolean(params.deadline) && Date.now() >= params.deadline;
+  };
+}
+
 // Modify runSingleGaCampaign to be async
-async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaParams, progressCallback = null) {
+// Individuals only hold the free slots; fitnessOptions.lockedModules fill the rest.
+// gaParams.seedPopulation optionally lists module uuid combinations to start the population with;
+// they are rescored like any other individual and random ones fill the rest.
+// progressCallback receives { generation, generations, bestFitness } after every generation.
+// An aborted signal stops the campaign at the next generation with an AbortError, while
+// gaParams.deadline and gaParams.stallGenerations end it early with its current population
+// (see createStopCheck).
+async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaParams, progressCallback = null, random = Math.random, fitnessOptions = {}, signal = null) {
+  const slots = (fitnessOptions.slotCount || MAX_MODULE_SLOTS) - (fitnessOptions.lockedModules || []).length;
+  const parentShare = Math.floor(slots / 2);
+  const localSearchPool = rankByRelevance(modules, category, prioritizedAttrs, fitnessOptions)
+    .slice(0, gaParams.localSearchCandidates || 30);
+
   // Initialize population
   function initializePopulation(pool, size) {
     const population = [];
     const seen = new Set();
-    if (pool.length < 4) return [];
+    if (pool.length < slots) return [];
 
-    const maxPossibleCombinations = factorial(pool.length) / (factorial(4) * factorial(pool.length - 4));
+    const maxPossibleCombinations = binomial(pool.length, slots);
     const targetSize = Math.min(size, maxPossibleCombinations);
     if (targetSize === 0) return [];
 
+    const byUuid = new Map(pool.map(m => [m.uuid, m]));
+    for (const uuids of gaParams.seedPopulation || []) {
+      if (population.length >= targetSize) break;
+      const selectedModules = uuids.map(uuid => byUuid.get(uuid));
+      if (selectedModules.length !== slots || selectedModules.some(m => !m)) continue;
+      const solution = new ModuleSolution(selectedModules);
+      const comboId = solution.getCombinationId();
+      if (!seen.has(comboId)) {
+        solution.optimizationScore = calculateFitness(solution.modules, category, prioritizedAttrs, fitnessOptions);
+        population.push(solution);
+        seen.add(comboId);
+      }
+    }
+
     while (population.length < targetSize) {
-      const selectedModules = shuffleArray([...pool]).slice(0, 4);
+      const selectedModules = shuffleArray([...pool], random).slice(0, slots);
       const solution = new ModuleSolution(selectedModules);
       const comboId = solution.getCombinationId();
       
       if (!seen.has(comboId)) {
-        solution.optimizationScore = calculateFitness(solution.modules, category, prioritizedAttrs);
+        solution.optimizationScore = calculateFitness(solution.modules, category, prioritizedAttrs, fitnessOptions);
         population.push(solution);
         seen.add(comboId);
       }
@@ -640,7 +1989,7 @@ async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaP
   // Selection
   function selection(population) {
     const tournamentSize = gaParams.tournamentSize;
-    const tournament = shuffleArray([...population]).slice(0, tournamentSize);
+    const tournament = shuffleArray([...population], random).slice(0, tournamentSize);
     return tournament.reduce((best, current) => 
       current.optimizationScore > best.optimizationScore ? current : best
     );
@@ -648,45 +1997,45 @@ async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaP
 
   // Crossover
   function crossover(p1, p2) {
-    if (Math.random() > gaParams.crossoverRate) {
+    if (random() > gaParams.crossoverRate) {
       return [deepCopy(p1), deepCopy(p2)];
     }
 
-    const p1Ids = new Set(p1.modules.slice(0, 2).map(m => m.uuid));
-    const p2Ids = new Set(p2.modules.slice(0, 2).map(m => m.uuid));
+    const p1Ids = new Set(p1.modules.slice(0, parentShare).map(m => m.uuid));
+    const p2Ids = new Set(p2.modules.slice(0, parentShare).map(m => m.uuid));
 
     const child1Mods = [
-      ...p1.modules.slice(0, 2),
-      ...p2.modules.filter(m => !p1Ids.has(m.uuid)).slice(0, 2)
+      ...p1.modules.slice(0, parentShare),
+      ...p2.modules.filter(m => !p1Ids.has(m.uuid)).slice(0, slots - parentShare)
     ];
     const child2Mods = [
-      ...p2.modules.slice(0, 2),
-      ...p1.modules.filter(m => !p2Ids.has(m.uuid)).slice(0, 2)
+      ...p2.modules.slice(0, parentShare),
+      ...p1.modules.filter(m => !p2Ids.has(m.uuid)).slice(0, slots - parentShare)
     ];
 
     return [
-      child1Mods.length === 4 ? new ModuleSolution(child1Mods) : deepCopy(p1),
-      child2Mods.length === 4 ? new ModuleSolution(child2Mods) : deepCopy(p2)
+      child1Mods.length === slots ? new ModuleSolution(child1Mods) : deepCopy(p1),
+      child2Mods.length === slots ? new ModuleSolution(child2Mods) : deepCopy(p2)
     ];
   }
 
   // Mutation
   function mutate(solution, pool) {
-    if (Math.random() > gaParams.mutationRate) return;
+    if (random() > gaParams.mutationRate) return;
     
     const currentIds = new Set(solution.modules.map(m => m.uuid));
     const candidates = pool.filter(m => !currentIds.has(m.uuid));
     if (candidates.length === 0) return;
 
-    const indexToReplace = Math.floor(Math.random() * solution.modules.length);
-    solution.modules[indexToReplace] = candidates[Math.floor(Math.random() * candidates.length)];
+    const indexToReplace = Math.floor(random() * solution.modules.length);
+    solution.modules[indexToReplace] = candidates[Math.floor(random() * candidates.length)];
     solution.modules.sort((a, b) => a.uuid - b.uuid);
   }
 
   // Local search - optimized version
   async function localSearch(solution, pool) {
     let bestSolution = deepCopy(solution);
-    bestSolution.optimizationScore = calculateFitness(bestSolution.modules, category, prioritizedAttrs);
+    bestSolution.optimizationScore = calculateFitness(bestSolution.modules, category, prioritizedAttrs, fitnessOptions);
 
     let improved = true;
     let iterations = 0;
@@ -701,18 +2050,14 @@ async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaP
         let bestReplacement = null;
         let bestNewScore = bestSolution.optimizationScore;
 
-        // Limit search space
-        const topCandidates = pool
-          .filter(m => {
-            const otherIds = new Set(bestSolution.modules.filter((_, idx) => idx !== i).map(m => m.uuid));
-            return !otherIds.has(m.uuid);
-          })
-          .slice(0, 30); // Only check top 30 candidates
+        // Only the most relevant modules are tried (see rankByRelevance)
+        const otherIds = new Set(bestSolution.modules.filter((_, idx) => idx !== i).map(m => m.uuid));
+        const topCandidates = pool.filter(m => !otherIds.has(m.uuid));
 
         for (const newModule of topCandidates) {
           const tempModules = [...bestSolution.modules];
           tempModules[i] = newModule;
-          const newScore = calculateFitness(tempModules, category, prioritizedAttrs);
+          const newScore = calculateFitness(tempModules, category, prioritizedAttrs, fitnessOptions);
 
           if (newScore > bestNewScore) {
             bestNewScore = newScore;
@@ -739,6 +2084,7 @@ async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaP
   // Main GA loop - now async
   let population = initializePopulation(modules, gaParams.populationSize);
   if (population.length === 0) return [];
+  const shouldStop = createStopCheck(gaParams);
 
   for (let gen = 0; gen < gaParams.generations; gen++) {
     population.sort((a, b) => b.optimizationScore - a.optimizationScore);
@@ -765,7 +2111,7 @@ async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaP
 
     // Calculate fitness in batches
     for (let i = 0; i < nextGen.length; i++) {
-      nextGen[i].optimizationScore = calculateFitness(nextGen[i].modules, category, prioritizedAttrs);
+      nextGen[i].optimizationScore = calculateFitness(nextGen[i].modules, category, prioritizedAttrs, fitnessOptions);
       if (i % 20 === 0) {
         await yieldToEventLoop();
       }
@@ -776,7 +2122,7 @@ async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaP
     // Local search in batches
     const localSearchCount = Math.floor(gaParams.populationSize * gaParams.localSearchRate);
     for (let i = 0; i < localSearchCount; i++) {
-      nextGen[i] = await localSearch(nextGen[i], modules);
+      nextGen[i] = await localSearch(nextGen[i], localSearchPool);
       if (i % 3 === 0) {
         await yieldToEventLoop();
       }
@@ -786,14 +2132,334 @@ async function runSingleGaCampaignAsync(modules, category, prioritizedAttrs, gaP
     
     // Yield after each generation
     await yieldToEventLoop();
+    if (signal) signal.throwIfAborted();
     
-    if (progressCallback && gen % 5 === 0) {
-      progressCallback(`Generation ${gen + 1}/${gaParams.generations}`);
+    const bestFitness = population.reduce((best, s) => Math.max(best, s.optimizationScore), -Infinity);
+    if (progressCallback) {
+      progressCallback({
+        generation: gen + 1,
+        generations: gaParams.generations,
+        bestFitness,
+      });
     }
+    if (shouldStop(bestFitness)) break;
   }
 
   return population.sort((a, b) => b.optimizationScore - a.optimizationScore);
 }
 
-module.exports = { ModuleOptimizer, ModuleSolution, calculateFitness };
+/**
+ * Keeps the best distinct combinations a trajectory search visits, so single-state
+ * searches return a population-sized result like the GA does
+ */
+function createSolutionArchive(keepCount) {
+  const solutions = new Map();
+  const prune = () => {
+    const kept = [...solutions.values()].sort((a, b) => b.optimizationScore - a.optimizationScore).slice(0, keepCount);
+    solutions.clear();
+    for (const solution of kept) solutions.set(solution.getCombinationId(), solution);
+  };
+  return {
+    add(modules, optimizationScore) {
+      const solution = new ModuleSolution(modules);
+      const id = solution.getCombinationId();
+      if (solutions.has(id)) return;
+      solution.optimizationScore = optimizationScore;
+      solutions.set(id, solution);
+      if (solutions.size > keepCount * 4) prune();
+    },
+    solutions() {
+      prune();
+      return [...solutions.values()];
+    },
+  };
+}
+
+/**
+ * Pick the starting state of a trajectory search: the first usable seed combination,
+ * else a random one
+ */
+function initialState(pool, slots, params, random) {
+  const byUuid = new Map(pool.map(m => [m.uuid, m]));
+  for (const uuids of params.seedPopulation || []) {
+    const modules = uuids.map(uuid => byUuid.get(uuid));
+    if (modules.length === slots && modules.every(Boolean) && new Set(uuids).size === slots) return modules;
+  }
+  return shuffleArray(pool, random).slice(0, slots);
+}
+
+// Simulated annealing over single-module replacements. The temperature starts at
+// params.startTemperature times the initial fitness and cools by params.coolingRate every
+// step of params.movesPerStep moves; worse states are accepted with probability exp(delta / T).
+// Same contract as runSingleGaCampaignAsync: progressCallback receives { generation, generations,
+// bestFitness } per step, and the best distinct combinations visited are returned.
+async function runSimulatedAnnealingAsync(modules, category, prioritizedAttrs, params, progressCallback = null, random = Math.random, fitnessOptions = {}, signal = null) {
+  const slots = (fitnessOptions.slotCount || MAX_MODULE_SLOTS) - (fitnessOptions.lockedModules || []).length;
+  if (modules.length < slots || slots <= 0) return [];
+  const fitness = (combo) => calculateFitness(combo, category, prioritizedAttrs, fitnessOptions);
+  const archive = createSolutionArchive(params.keepCount);
+
+  let current = initialState(modules, slots, params, random);
+  let currentScore = fitness(current);
+  let bestScore = currentScore;
+  archive.add(current, currentScore);
+  let temperature = Math.max(1, Math.abs(currentScore)) * params.startTemperature;
+  const shouldStop = createStopCheck(params);
+
+  for (let step = 0; step < params.steps; step++) {
+    for (let move = 0; move < params.movesPerStep; move++) {
+      const currentIds = new Set(current.map(m => m.uuid));
+      const incoming = modules[Math.floor(random() * modules.length)];
+      if (currentIds.has(incoming.uuid)) continue;
+
+      const candidate = [...current];
+      candidate[Math.floor(random() * slots)] = incoming;
+      const candidateScore = fitness(candidate);
+      const delta = candidateScore - currentScore;
+      if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+        current = candidate;
+        currentScore = candidateScore;
+        archive.add(current, currentScore);
+        bestScore = Math.max(bestScore, currentScore);
+      }
+    }
+    temperature *= params.coolingRate;
+
+    await yieldToEventLoop();
+    if (signal) signal.throwIfAborted();
+    if (progressCallback) {
+      progressCallback({ generation: step + 1, generations: params.steps, bestFitness: bestScore });
+    }
+    if (shouldStop(bestScore)) break;
+  }
+
+  return archive.solutions();
+}
+
+// Tabu search over single-module replacements. Every iteration evaluates up to
+// params.neighborSample replacements (the most relevant modules first, see rankByRelevance)
+// and takes the best one, even when it is worse; a module that was just swapped out may not
+// come back for params.tenure iterations unless that beats the best fitness found so far.
+// Same contract as runSingleGaCampaignAsync.
+async function runTabuSearchAsync(modules, category, prioritizedAttrs, params, progressCallback = null, random = Math.random, fitnessOptions = {}, signal = null) {
+  const slots = (fitnessOptions.slotCount || MAX_MODULE_SLOTS) - (fitnessOptions.lockedModules || []).length;
+  if (modules.length < slots || slots <= 0) return [];
+  const fitness = (combo) => calculateFitness(combo, category, prioritizedAttrs, fitnessOptions);
+  const archive = createSolutionArchive(params.keepCount);
+  const candidates = rankByRelevance(modules, category, prioritizedAttrs, fitnessOptions);
+  // Half the sample always covers the most relevant modules, the rest is drawn at random
+  const fixedShare = Math.floor(params.neighborSample / 2);
+
+  let current = initialState(modules, slots, params, random);
+  let currentScore = fitness(current);
+  let bestScore = currentScore;
+  archive.add(current, currentScore);
+  const tabuUntil = new Map(); // module uuid -> iteration until which it may not re-enter
+  const shouldStop = createStopCheck(params);
+
+  for (let iteration = 0; iteration < params.iterations; iteration++) {
+    const currentIds = new Set(current.map(m => m.uuid));
+    const sample = candidates.slice(0, fixedShare);
+    for (let k = sample.length; k < params.neighborSample && k < candidates.length; k++) {
+      sample.push(candidates[fixedShare + Math.floor(random() * (candidates.length - fixedShare))]);
+    }
+
+    let bestMove = null;
+    for (const incoming of sample) {
+      if (!incoming || currentIds.has(incoming.uuid)) continue;
+      for (let slot = 0; slot < slots; slot++) {
+        const candidate = [...current];
+        candidate[slot] = incoming;
+        const candidateScore = fitness(candidate);
+        const isTabu = (tabuUntil.get(incoming.uuid) || 0) > iteration;
+        if (isTabu && candidateScore <= bestScore) continue;
+        if (!bestMove || candidateScore > bestMove.score) bestMove = { modules: candidate, slot, score: candidateScore };
+      }
+    }
+    if (!bestMove) break;
+
+    tabuUntil.set(current[bestMove.slot].uuid, iteration + 1 + params.tenure);
+    current = bestMove.modules;
+    currentScore = bestMove.score;
+    archive.add(current, currentScore);
+    bestScore = Math.max(bestScore, currentScore);
+
+    await yieldToEventLoop();
+    if (signal) signal.throwIfAborted();
+    if (progressCallback) {
+      progressCallback({ generation: iteration + 1, generations: params.iterations, bestFitness: bestScore });
+    }
+    if (shouldStop(bestScore)) break;
+  }
+
+  return archive.solutions();
+}
+
+/**
+ * Search strategies a campaign can run, by name. Each takes
+ * (modules, category, prioritizedAttrs, params, progressCallback, random, fitnessOptions, signal)
+ * and resolves to solutions sorted by fitness, best first.
+ */
+const SEARCH_STRATEGIES = {
+  ga: runSingleGaCampaignAsync,
+  annealing: runSimulatedAnnealingAsync,
+  tabu: runTabuSearchAsync,
+};
+
+/**
+ * Exhaustive branch-and-bound search over every combination of fitnessOptions.slotCount modules.
+ * Keeps the keepCount best combinations by rankKey(attrBreakdown, abilityScore, fitness),
+ * compared with compareRankKeys (fitness alone by default); rankKey must not decrease as
+ * any of its inputs grows. A branch is skipped when even the best values still available
+ * for each attribute cannot beat the worst kept key.
+ * The result is exact: no combination outside it ranks higher.
+ * Locked modules are part of every combination and only the free slots are searched;
+ * branches that can no longer reach fitnessOptions.minValues are cut as well.
+ * progressCallback receives { progress, bestFitness }, progress being the share of
+ * combinations already covered (searched or pruned).
+ * An aborted signal stops the search between top-level branches with an AbortError.
+ */
+async function runExactSearchAsync(modules, category, prioritizedAttrs, keepCount, progressCallback = null, fitnessOptions = {}, signal = null,
+  rankKey = (attrBreakdown, score, fitness) => [fitness]) {
+  const lockedModules = fitnessOptions.lockedModules || [];
+  const minValues = fitnessOptions.minValues || {};
+  const weights = fitnessOptions.weights || DEFAULT_WEIGHTS;
+  const classRules = fitnessOptions.classRules || DEFAULT_CLASS_RULES;
+  const slots = (fitnessOptions.slotCount || MAX_MODULE_SLOTS) - lockedModules.length;
+  // Strong modules first so good combinations are found early and pruning starts sooner
+  const pool = [...modules].sort((a, b) => moduleTotalValue(b) - moduleTotalValue(a));
+  const n = pool.length;
+  if (n < slots) return [];
+
+  // suffixBest[i][attr] = highest values (descending, at most `slots`) of attr among pool[i..]
+  const suffixBest = new Array(n + 1);
+  suffixBest[n] = {};
+  for (let i = n - 1; i >= 0; i--) {
+    const best = {};
+    for (const [attr, values] of Object.entries(suffixBest[i + 1])) best[attr] = values;
+    for (const part of pool[i].parts) {
+      const merged = [...(best[part.name] || []), part.value].sort((a, b) => b - a);
+      best[part.name] = merged.slice(0, slots);
+    }
+    suffixBest[i] = best;
+  }
+
+  function upperBound(attrBreakdown, start, remaining) {
+    const optimistic = { ...attrBreakdown };
+    for (const [attr, values] of Object.entries(suffixBest[start])) {
+      let gain = 0;
+      for (let k = 0; k < remaining && k < values.length; k++) gain += values[k];
+      optimistic[attr] = (optimistic[attr] || 0) + gain;
+    }
+    // A branch that cannot meet every minimum level is worthless
+    if (constraintDeficit(optimistic, minValues) > 0) return null;
+    // Penalties only grow as modules are added, so the committed part is a safe lower bound
+    const { reward } = computeFitnessTerms(optimistic, category, prioritizedAttrs, weights, classRules);
+    const { penalty } = computeFitnessTerms(attrBreakdown, category, prioritizedAttrs, weights, classRules);
+    return rankKey(optimistic, combatPowerBound(attrBreakdown, optimistic), Math.max(0, reward - penalty));
+  }
+
+  const best = []; // Sorted by rank key descending, at most keepCount entries
+  const bestKeys = []; // Rank key of each entry of best
+
+  function isPruned(attrBreakdown, start, remaining) {
+    const bound = upperBound(attrBreakdown, start, remaining);
+    if (bound === null) return true;
+    return best.length >= keepCount && compareRankKeys(bound, bestKeys[bestKeys.length - 1]) <= 0;
+  }
+
+  function keep(chosen, attrBreakdown) {
+    if (constraintDeficit(attrBreakdown, minValues) > 0) return;
+    const { reward, penalty } = computeFitnessTerms(attrBreakdown, category, prioritizedAttrs, weights, classRules);
+    const fitness = Math.max(0, reward - penalty);
+    const key = rankKey(attrBreakdown, combatPowerOf(attrBreakdown), fitness);
+    if (best.length >= keepCount && compareRankKeys(key, bestKeys[bestKeys.length - 1]) <= 0) return;
+
+    const solution = new ModuleSolution([...lockedModules, ...chosen]);
+    solution.optimizationScore = fitness;
+    let idx = best.length;
+    while (idx > 0 && compareRankKeys(bestKeys[idx - 1], key) < 0) idx--;
+    best.splice(idx, 0, solution);
+    bestKeys.splice(idx, 0, key);
+    if (best.length > keepCount) {
+      best.pop();
+      bestKeys.pop();
+    }
+  }
+
+  function addModule(attrBreakdown, module) {
+    const next = { ...attrBreakdown };
+    for (const part of module.parts) next[part.name] = (next[part.name] || 0) + part.value;
+    return next;
+  }
+
+  function search(start, chosen, attrBreakdown) {
+    const remaining = slots - chosen.length;
+    if (remaining === 0) {
+      keep(chosen, attrBreakdown);
+      return;
+    }
+    for (let i = start; i <= n - remaining; i++) {
+      const next = addModule(attrBreakdown, pool[i]);
+      if (isPruned(next, i + 1, remaining - 1)) continue;
+      chosen.push(pool[i]);
+      search(i + 1, chosen, next);
+      chosen.pop();
+    }
+  }
+
+  const lockedBreakdown = sumAttributes(lockedModules);
+  if (slots === 0) {
+    keep([], lockedBreakdown);
+    return best;
+  }
+
+  // The first two levels are unrolled so the event loop gets a turn (and a cancellation
+  // a chance to land) at least every few milliseconds, even on large pools
+  let lastYield = Date.now();
+  for (let i = 0; i <= n - slots; i++) {
+    const first = addModule(lockedBreakdown, pool[i]);
+    if (isPruned(first, i + 1, slots - 1)) continue;
+    if (slots === 1) {
+      search(i + 1, [pool[i]], first);
+    } else {
+      for (let j = i + 1; j <= n - slots + 1; j++) {
+        const second = addModule(first, pool[j]);
+        if (isPruned(second, j + 1, slots - 2)) continue;
+        search(j + 1, [pool[i], pool[j]], second);
+        if (Date.now() - lastYield > 50) {
+          await yieldToEventLoop();
+          if (signal) signal.throwIfAborted();
+          lastYield = Date.now();
+        }
+      }
+    }
+    await yieldToEventLoop();
+    if (signal) signal.throwIfAborted();
+    lastYield = Date.now();
+
+    if (progressCallback) {
+      progressCallback({
+        progress: 1 - binomial(n - i - 1, slots) / binomial(n, slots),
+        bestFitness: best.length > 0 ? Math.max(...best.map(s => s.optimizationScore)) : null,
+      });
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  ModuleOptimizer,
+  ModuleSolution,
+  calculateFitness,
+  runSingleGaCampaignAsync,
+  createRandom,
+  SEARCH_STRATEGIES,
+  DEFAULT_WEIGHTS,
+  normalizeWeights,
+  DEFAULT_CLASS_PROFILE,
+  normalizeClassRules,
+  MAX_MODULE_SLOTS,
+};
 
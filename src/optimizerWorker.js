@@ -0,0 +1,40 @@
+/**
+ * Optimizer Worker
+ * Runs a single search campaign (GA, simulated annealing or tabu search) on a worker thread
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { SEARCH_STRATEGIES, createRandom } = require('./moduleOptimizer');
+
+/**
+ * Run the campaign described by workerData and post the result back.
+ * Modules arrive as { uuid, parts } where uuid is the module's index in the
+ * caller's pool, so solutions are returned as lists of pool indices.
+ */
+async function runCampaign() {
+  const { strategy, modules, category, prioritizedAttrs, params, seed, fitnessOptions } = workerData;
+
+  try {
+    const results = await SEARCH_STRATEGIES[strategy](
+      modules,
+      category,
+      prioritizedAttrs,
+      params,
+      (progress) => parentPort.postMessage({ type: 'progress', progress }),
+      createRandom(seed),
+      fitnessOptions
+    );
+
+    parentPort.postMessage({
+      type: 'result',
+      solutions: results.map(solution => ({
+        indices: solution.modules.map(m => m.uuid),
+        optimizationScore: solution.optimizationScore,
+      })),
+    });
+  } catch (err) {
+    parentPort.postMessage({ type: 'error', message: err.message });
+  }
+}
+
+runCampaign();
@@ -13,13 +13,29 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Attributes
   getAllAttributes: () => ipcRenderer.invoke('get-all-attributes'),
+  getGameDataInfo: () => ipcRenderer.invoke('get-game-data-info'),
   
   // Monitoring
   startMonitoring: (options) => ipcRenderer.invoke('start-monitoring', options),
   stopMonitoring: () => ipcRenderer.invoke('stop-monitoring'),
   rescreenModules: (options) => ipcRenderer.invoke('rescreen-modules', options),
+  optimizeLoadouts: (options) => ipcRenderer.invoke('optimize-loadouts', options),
+  cancelOptimization: () => ipcRenderer.invoke('cancel-optimization'),
   hasCapturedData: () => ipcRenderer.invoke('has-captured-data'),
   
+  // Excluded modules
+  getExcludedModules: () => ipcRenderer.invoke('get-excluded-modules'),
+  setExcludedModules: (excludedModules) => ipcRenderer.invoke('set-excluded-modules', excludedModules),
+  
+  // Search settings
+  getSearchSettings: () => ipcRenderer.invoke('get-search-settings'),
+  setSearchSettings: (settings) => ipcRenderer.invoke('set-search-settings', settings),
+  
+  // Weight profiles
+  getWeightProfiles: () => ipcRenderer.invoke('get-weight-profiles'),
+  setWeightProfiles: (profiles) => ipcRenderer.invoke('set-weight-profiles', profiles),
+  getClassProfiles: () => ipcRenderer.invoke('get-class-profiles'),
+  
   // External links
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
   
@@ -28,8 +44,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Event listeners
   onDataCaptured: (callback) => {
-    ipcRenderer.on('data-captured', callback);
-    return () => ipcRenderer.removeListener('data-captured', callback);
+    const listener = (event, captureInfo) => callback(captureInfo);
+    ipcRenderer.on('data-captured', listener);
+    return () => ipcRenderer.removeListener('data-captured', listener);
   },
   
   onProgressUpdate: (callback) => {
@@ -37,9 +54,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('progress-update', callback);
   },
   
+  onOptimizationProgress: (callback) => {
+    const listener = (event, progressEvent) => callback(progressEvent);
+    ipcRenderer.on('optimization-progress', listener);
+    return () => ipcRenderer.removeListener('optimization-progress', listener);
+  },
+  
   onResultsReady: (callback) => {
-    ipcRenderer.on('results-ready', (event, results) => callback(results));
-    return () => ipcRenderer.removeListener('results-ready', callback);
+    const listener = (event, results, runInfo) => callback(results, runInfo);
+    ipcRenderer.on('results-ready', listener);
+    return () => ipcRenderer.removeListener('results-ready', listener);
   },
   
   onMonitoringStopped: (callback) => {
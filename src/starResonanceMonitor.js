@@ -5,7 +5,7 @@
 
 const { getLogger } = require('./logger');
 const { ModuleParser } = require('./moduleParser');
-const { ModuleOptimizer } = require('./moduleOptimizer');
+const { ModuleOptimizer, MAX_MODULE_SLOTS } = require('./moduleOptimizer');
 const { ModuleCategory, ModuleInfo, ModulePart, MODULE_NAMES, MODULE_ATTR_NAMES } = require('./moduleTypes');
 const { PacketCapture } = require('./packetCapture');
 const protobuf = require('protobufjs');
@@ -13,6 +13,18 @@ const path = require('path');
 
 const logger = getLogger('StarResonanceMonitor');
 
+// Module type names from the UI (English and Spanish) to optimizer categories
+const CATEGORY_MAP = {
+  "All": ModuleCategory.All,
+  "Attack": ModuleCategory.ATTACK,
+  "Guard": ModuleCategory.GUARDIAN,
+  "Support": ModuleCategory.SUPPORT,
+  "Todos": ModuleCategory.All,
+  "Ataque": ModuleCategory.ATTACK,
+  "Guardia": ModuleCategory.GUARDIAN,
+  "Soporte": ModuleCategory.SUPPORT,
+};
+
 // Load protobuf schema
 let protoRoot = null;
 let SyncContainerData = null;
@@ -53,13 +65,34 @@ class StarResonanceMonitor {
     this.initialAttributes = options.attributes || [];
     this.initialPrioritizedAttrs = options.prioritizedAttrs || [];
     this.initialPriorityOrderMode = options.priorityOrderMode || false;
+    this.initialLockedUuids = options.lockedUuids || [];
+    this.initialExcludedUuids = options.excludedUuids || [];
+    this.initialMinLevels = options.minLevels || {};
+    this.initialWeightProfile = options.weightProfile || null;
+    this.initialClassProfile = options.classProfile || null;
+    this.initialParetoFront = options.paretoFront || false;
+    // Manual loadout size; null uses the slot count read from the captured data
+    this.initialSlotCount = options.slotCount || null;
+    // Swap limit and starting loadout; no limit rebuilds the loadout from scratch
+    this.initialMaxSwaps = options.maxSwaps || null;
+    this.initialBaseUuids = options.baseUuids || null;
+    this.initialStrategies = options.strategies || null;
+    // Modules each result must differ by from the others; 0 allows near-identical results
+    this.initialMinDifference = options.minDifference || 0;
+    // Search time budget and no-improvement stop; unset runs a fixed number of generations
+    this.initialTimeBudgetMs = options.timeBudgetMs || null;
+    this.initialStallGenerations = options.stallGenerations || null;
     this.onDataCapturedCallback = options.onDataCapturedCallback || null;
     this.progressCallback = options.progressCallback || null;
+    this.optimizationProgressCallback = options.optimizationProgressCallback || null;
     this.onResultsCallback = options.onResultsCallback || null;
     this.onStoppedCallback = options.onStoppedCallback || null;
 
     this.isRunning = false;
     this.capturedModules = null;
+    // Mod.ModSlots of the character: slot -> UUID of the module equipped there
+    this.capturedModSlots = null;
+    this.currentRun = null; // AbortController of the optimization in progress
 
     this.packetCapture = new PacketCapture(this.interfaceName);
     this.moduleParser = new ModuleParser();
@@ -72,6 +105,7 @@ class StarResonanceMonitor {
   startMonitoring() {
     // Clear previous captured modules to free memory
     this.capturedModules = null;
+    this.capturedModSlots = null;
     
     this.isRunning = true;
 
@@ -154,6 +188,9 @@ class StarResonanceMonitor {
     const parsedData = this._parseProtobuf(vData);
     
     if (parsedData && parsedData.modules && parsedData.modules.length > 0) {
+      if (parsedData.modSlots) {
+        this.capturedModSlots = parsedData.modSlots;
+      }
       return parsedData.modules;
     } else {
       const errorMsg = "No modules found in packet. Try changing channels or re-logging.";
@@ -212,7 +249,7 @@ class StarResonanceMonitor {
 
       // Notify GUI that data is captured
       if (this.onDataCapturedCallback) {
-        this.onDataCapturedCallback();
+        this.onDataCapturedCallback({ slotCount: this.getCapturedSlotCount() });
       }
 
       // Auto-stop capture after successfully getting modules
@@ -226,7 +263,22 @@ class StarResonanceMonitor {
         this.initialCategory,
         this.initialAttributes,
         this.initialPrioritizedAttrs,
-        this.initialPriorityOrderMode
+        this.initialPriorityOrderMode,
+        {
+          lockedUuids: this.initialLockedUuids,
+          excludedUuids: this.initialExcludedUuids,
+          minLevels: this.initialMinLevels,
+          weightProfile: this.initialWeightProfile,
+          classProfile: this.initialClassProfile,
+          paretoFront: this.initialParetoFront,
+          slotCount: this.initialSlotCount,
+          maxSwaps: this.initialMaxSwaps,
+          baseUuids: this.initialBaseUuids,
+          strategies: this.initialStrategies,
+          minDifference: this.initialMinDifference,
+          timeBudgetMs: this.initialTimeBudgetMs,
+          stallGenerations: this.initialStallGenerations,
+        }
       );
     } else {
       logger.warn("No new modules (all duplicates)");
@@ -509,7 +561,53 @@ class StarResonanceMonitor {
       logger.error(err.stack);
     }
 
-    return modules.length > 0 ? { modules } : null;
+    if (modules.length === 0) return null;
+    const modSlots = this._extractModSlots(charData.Mod);
+    return modSlots ? { modules, modSlots } : { modules };
+  }
+
+  /**
+   * Read the character's module slots from Mod.ModSlots
+   * @private
+   * @param {Object} modContainer - Decoded Mod message
+   * @returns {Object<string, string>|null} Slot -> equipped module UUID ('0' for an empty slot), or null if absent
+   */
+  _extractModSlots(modContainer) {
+    const slots = modContainer && modContainer.ModSlots;
+    if (!slots || Object.keys(slots).length === 0) return null;
+
+    const modSlots = {};
+    for (const [slot, uuid] of Object.entries(slots)) {
+      modSlots[slot] = String(uuid);
+    }
+    logger.info(`Module slots unlocked: ${Object.keys(modSlots).length}`);
+    return modSlots;
+  }
+
+  /**
+   * Number of module slots the captured character has unlocked
+   * @returns {number|null} Slot count, or null when the capture had no Mod.ModSlots
+   */
+  getCapturedSlotCount() {
+    if (!this.capturedModSlots) return null;
+    return Math.min(Object.keys(this.capturedModSlots).length, MAX_MODULE_SLOTS);
+  }
+
+  /**
+   * Modules the captured character has equipped, for comparing results against
+   * @returns {Array<{slot: number, uuid: string}>|undefined} One entry per slot, or undefined without slot data
+   */
+  getEquippedSlots() {
+    if (!this.capturedModSlots) return undefined;
+    return Object.entries(this.capturedModSlots).map(([slot, uuid]) => ({ slot: Number(slot), uuid }));
+  }
+
+  /**
+   * Resolve the loadout size of a run: the manual choice, else the captured slot count
+   * @private
+   */
+  _resolveSlotCount(slotCount) {
+    return slotCount || this.getCapturedSlotCount() || undefined;
   }
 
   /**
@@ -582,39 +680,45 @@ class StarResonanceMonitor {
   /**
    * Run optimization in background
    * @private
+   * @param {Object} [options] - Extra optimizer options (e.g. seed, lockedUuids), passed to getOptimalSolutions,
+   *   or to optimizeSwaps when options.maxSwaps is set
    */
-  async _runOptimizationInBackground(category, attributes, prioritizedAttrs, priorityOrderMode) {
+  async _runOptimizationInBackground(category, attributes, prioritizedAttrs, priorityOrderMode, options = {}) {
     if (!this.hasCapturedData()) {
       logger.error("Error: No module data available for optimization.");
       return;
     }
 
-    const categoryMap = {
-      "All": ModuleCategory.All,
-      "Attack": ModuleCategory.ATTACK,
-      "Guard": ModuleCategory.GUARDIAN,
-      "Support": ModuleCategory.SUPPORT,
-      "Todos": ModuleCategory.All,
-      "Ataque": ModuleCategory.ATTACK,
-      "Guardia": ModuleCategory.GUARDIAN,
-      "Soporte": ModuleCategory.SUPPORT,
-    };
-    const targetCategory = categoryMap[category] || ModuleCategory.All;
+    const targetCategory = CATEGORY_MAP[category] || ModuleCategory.All;
+    const run = this._startRun();
 
     try {
-      const solutions = await this.moduleOptimizer.getOptimalSolutions(
+      // A swap limit searches around the starting loadout instead of rebuilding from scratch
+      const optimize = options.maxSwaps > 0
+        ? this.moduleOptimizer.optimizeSwaps.bind(this.moduleOptimizer)
+        : this.moduleOptimizer.getOptimalSolutions.bind(this.moduleOptimizer);
+      const solutions = await optimize(
         this.capturedModules,
         targetCategory,
         20,
         priorityOrderMode ? prioritizedAttrs : attributes,
         priorityOrderMode,
-        this.progressCallback
+        this._runProgressCallback(run),
+        {
+          ...options,
+          slotCount: this._resolveSlotCount(options.slotCount),
+          equippedSlots: this.getEquippedSlots(),
+          signal: run.signal,
+        }
       );
+      if (!this._finishRun(run)) return;
 
-      if (this.onResultsCallback && solutions.length > 0) {
-        this.onResultsCallback(solutions);
+      // Empty results are reported too, so the UI can explain why (e.g. unreachable minimum levels)
+      if (this.onResultsCallback) {
+        this.onResultsCallback(solutions, this.moduleOptimizer.lastRunInfo);
       }
     } catch (err) {
+      if (!this._finishRun(run)) return;
       logger.error(`Optimization process failed: ${err.message}`);
       if (this.progressCallback) {
         this.progressCallback("Optimization failed.");
@@ -622,17 +726,118 @@ class StarResonanceMonitor {
     }
   }
 
+  /**
+   * Start a new optimization run, cancelling the one in progress so they never race
+   * @private
+   * @returns {AbortController} Controller of the new run
+   */
+  _startRun() {
+    this.cancelOptimization();
+    this.currentRun = new AbortController();
+    return this.currentRun;
+  }
+
+  /**
+   * Mark a run as finished
+   * @private
+   * @returns {boolean} False when the run was cancelled and its outcome must be dropped
+   */
+  _finishRun(run) {
+    if (run.signal.aborted) {
+      logger.info("Optimization cancelled.");
+      return false;
+    }
+    if (this.currentRun === run) this.currentRun = null;
+    return true;
+  }
+
+  /**
+   * Forward the optimizer's progress events until the run is cancelled.
+   * Without an optimizationProgressCallback, their messages go to progressCallback.
+   * @private
+   */
+  _runProgressCallback(run) {
+    return (event) => {
+      if (run.signal.aborted) return;
+      if (this.optimizationProgressCallback) {
+        this.optimizationProgressCallback(event);
+      } else if (this.progressCallback) {
+        this.progressCallback(event.message);
+      }
+    };
+  }
+
+  /**
+   * Cancel the optimization in progress
+   * @returns {boolean} True if a run was cancelled
+   */
+  cancelOptimization() {
+    if (!this.currentRun) return false;
+    this.currentRun.abort();
+    this.currentRun = null;
+    return true;
+  }
+
   /**
    * Rescreen modules with new filter conditions
+   * @param {Object} [options] - Extra optimizer options (e.g. seed, lockedUuids)
    */
-  rescreenModules(category, attributes, prioritizedAttrs = null, priorityOrderMode = false) {
+  rescreenModules(category, attributes, prioritizedAttrs = null, priorityOrderMode = false, options = {}) {
     if (!this.hasCapturedData()) {
       logger.error("Error: No module data available for rescreening.");
       return;
     }
 
     // Start optimization asynchronously
-    this._runOptimizationInBackground(category, attributes, prioritizedAttrs || [], priorityOrderMode);
+    this._runOptimizationInBackground(category, attributes, prioritizedAttrs || [], priorityOrderMode, options);
+  }
+
+  /**
+   * Optimize several builds that share no module
+   * @param {Array<Object>} specs - Builds: { name, category, attributes, prioritizedAttrs, priorityOrderMode, weight, options }
+   * @param {Object} [options] - Optimizer options shared by every build (e.g. seed, excludedUuids)
+   */
+  async optimizeLoadouts(specs, options = {}) {
+    if (!this.hasCapturedData()) {
+      logger.error("Error: No module data available for optimization.");
+      return;
+    }
+
+    const optimizerSpecs = specs.map(spec => ({
+      name: spec.name,
+      category: CATEGORY_MAP[spec.category] || ModuleCategory.All,
+      prioritizedAttrs: spec.priorityOrderMode ? spec.prioritizedAttrs : spec.attributes,
+      priorityOrderMode: spec.priorityOrderMode,
+      weight: spec.weight,
+      options: spec.options,
+    }));
+
+    const run = this._startRun();
+
+    try {
+      const solutions = await this.moduleOptimizer.optimizeLoadouts(
+        this.capturedModules,
+        optimizerSpecs,
+        this._runProgressCallback(run),
+        {
+          ...options,
+          slotCount: this._resolveSlotCount(options.slotCount),
+          equippedSlots: this.getEquippedSlots(),
+          signal: run.signal,
+        }
+      );
+      if (!this._finishRun(run)) return;
+
+      if (this.onResultsCallback) {
+        this.onResultsCallback(solutions, this.moduleOptimizer.lastRunInfo);
+      }
+    } catch (err) {
+      if (!this._finishRun(run)) return;
+      logger.error(`Loadout optimization failed: ${err.message}`);
+      if (this.progressCallback) {
+        this.progressCallback("Optimization failed.");
+      }
+    }
   }
 
   /**
@@ -0,0 +1,75 @@
+/**
+ * User Data Store
+ * Reads and writes small JSON settings files in the app's user-data folder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { getLogger } = require('./logger');
+
+const logger = getLogger('UserDataStore');
+
+/**
+ * Get the full path of a file in the user-data folder
+ * @param {string} fileName - File name
+ * @returns {string} Absolute path
+ */
+function getUserDataPath(fileName) {
+  return path.join(app.getPath('userData'), fileName);
+}
+
+/**
+ * Read a JSON file from an absolute path
+ * @param {string} filePath - Absolute path
+ * @param {*} fallback - Value returned when the file is missing or invalid
+ * @returns {*} Parsed data or fallback
+ */
+function readJsonFile(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    logger.warn(`Failed to read ${path.basename(filePath)}: ${err.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file to an absolute path
+ * @param {string} filePath - Absolute path
+ * @param {*} data - Data to serialize
+ * @returns {boolean} True on success
+ */
+function writeJsonFile(filePath, data) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    return true;
+  } catch (err) {
+    logger.error(`Failed to write ${path.basename(filePath)}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Read a JSON file from the user-data folder
+ * @param {string} fileName - File name
+ * @param {*} fallback - Value returned when the file is missing or invalid
+ * @returns {*} Parsed data or fallback
+ */
+function readJson(fileName, fallback) {
+  return readJsonFile(getUserDataPath(fileName), fallback);
+}
+
+/**
+ * Write a JSON file to the user-data folder
+ * @param {string} fileName - File name
+ * @param {*} data - Data to serialize
+ * @returns {boolean} True on success
+ */
+function writeJson(fileName, data) {
+  return writeJsonFile(getUserDataPath(fileName), data);
+}
+
+module.exports = { getUserDataPath, readJson, writeJson, readJsonFile, writeJsonFile };
@@ -24,6 +24,130 @@ const translations = {
     statusMonitoring: "Status: Capturing game data...",
     statusCaptured: "Status: Data captured, ready to optimize.",
     generating: "Optimizing combinations, please wait...",
+    provenOptimal: "Proven optimal",
+    heuristicResult: "Best found",
+    seedPlaceholder: "Seed (random)",
+    seedLabel: "Seed",
+    seedHint: "Click to reuse this seed",
+    warmStart: "Warm start",
+    warmStartHint: "Started from the previous results, so there is no seed to replay it",
+    lockedModules: "Locked modules:",
+    lockModule: "Lock into every combination",
+    unlockModule: "Unlock module",
+    maxLockedModules: "Cannot lock more than {count} modules.",
+    excludedModules: "Excluded modules:",
+    excludeModule: "Exclude this module and re-run",
+    restoreModule: "Allow this module again",
+    minLevels: "Minimum levels:",
+    addMinLevel: "Add",
+    removeMinLevel: "Remove minimum level",
+    unreachableLevel: "{attr} Lv.{level} cannot be reached (best possible: Lv.{maxLevel}).",
+    unreachableCombined: "No combination reaches all minimum levels at once: {levels}.",
+    weightProfile: "Weight profile:",
+    weightProfileNone: "Built-in weights",
+    classProfile: "Class rules:",
+    classProfileNone: "Built-in rules",
+    classProfileNoneHint: "Physical and magic attributes conflict; each module type rewards its own attributes.",
+    classConflicts: "Conflicts: {groups}",
+    classBonus: "Bonus: {attrs}",
+    classPenalties: "Penalized: {attrs}",
+    classNone: "none",
+    editWeightProfile: "Edit",
+    weightProfiles: "Weight Profiles",
+    profileName: "Profile name:",
+    levelScores: "Priority level scores",
+    generalWeights: "General",
+    categoryBonus: "Category bonus",
+    conflictPenalty: "Conflict penalty",
+    attributeWeights: "Attribute weights",
+    deleteProfile: "Delete",
+    cancel: "Cancel",
+    saveProfile: "Save",
+    profileNameRequired: "Enter a profile name.",
+    profileSaveFailed: "Failed to save weight profiles.",
+    paretoMode: "Show trade-offs only (Pareto front of ability score, priority levels and effects)",
+    abilityScore: "Ability Score",
+    priorityLevelSum: "Priority levels (sum)",
+    totalEffects: "Effects",
+    priorityLevels: "Priority Levels",
+    loadouts: "Loadouts:",
+    loadoutNamePlaceholder: "Build name",
+    loadoutWeightHint: "Weight of this build in the combined score",
+    addLoadout: "Add current build",
+    removeLoadout: "Remove loadout",
+    optimizeLoadouts: "Optimize loadouts",
+    disjointLoadouts: "{count} disjoint loadouts",
+    loadoutFailed: "Not enough modules to fill loadout \"{name}\" without reusing modules.",
+    nearMiss: "{missing} short of Lv.{level}",
+    levelUpSwaps: "Level-up swaps",
+    swapLine: "{attr} Lv.{from} → Lv.{to}: swap {out} for {in}",
+    equivalentBuilds: "Equivalent builds",
+    equivalentBuildsHint: "Other module sets that reach the same attribute levels, e.g. to keep a module free",
+    equivalentLine: "{in} instead of {out}",
+    equippedScore: "Equipped: {score}",
+    equippedSlot: "Slot {slot}: {name}",
+    emptySlot: "empty",
+    vsEquipped: "vs equipped:",
+    alreadyEquipped: "Already equipped",
+    equippedSwapLine: "Slot {slot}: {out} → {in}",
+    equippedAddLine: "Add {in}",
+    strategyGa: "Genetic algorithm",
+    strategyAnnealing: "Simulated annealing",
+    strategyTabu: "Tabu search",
+    strategyAll: "All strategies",
+    strategyHint: "Search algorithm used when there are too many combinations to check them all. \"All strategies\" runs each one and merges their results.",
+    progressSearch: "Task {campaign}/{campaigns} · Step {generation}/{generations}",
+    maxSwapsNone: "Full rebuild",
+    maxSwapsOption: "{count} swap(s)",
+    maxSwapsHint: "Only change up to this many modules of the starting loadout: the equipped one, or a result picked with \"Start here\"",
+    diversityNone: "Any overlap",
+    diversityOption: "Differ by {count}+",
+    diversityHint: "Each result must use at least this many modules that no better-ranked result uses, so the list shows different builds instead of variations of one",
+    diversityLabel: "differ by {count}+ modules",
+    timeBudgetPlaceholder: "Time limit (s)",
+    timeBudgetHint: "Keep starting search campaigns for this many seconds and keep the best results found. Empty runs a fixed number of generations.",
+    stallPlaceholder: "Stall limit",
+    stallHint: "End a search campaign once its best result has not improved for this many generations",
+    timeBudgetLabel: "{seconds}s search, {count} campaigns",
+    swapBase: "Starting loadout:",
+    startHere: "Start here",
+    startHereHint: "Use this result as the starting loadout of swap mode",
+    removeFromBase: "Leave this slot empty",
+    baseScore: "Starting loadout: {score}",
+    vsBase: "vs starting loadout:",
+    gainPerSwap: "{gain} per swap",
+    withinSwaps: "Within {count} swap(s)",
+    swapBaseMissing: "No starting loadout: capture the equipped modules or pick a result with \"Start here\".",
+    noSwapImprovement: "No loadout within {count} swap(s) beats the starting loadout.",
+    cancelOptimization: "Cancel",
+    statusCancelled: "Status: Optimization cancelled",
+    progressGaStart: "Starting {campaigns} optimization tasks...",
+    progressGa: "Task {campaign}/{campaigns} · Generation {generation}/{generations}",
+    progressExact: "Checking every combination · {percent}%",
+    progressDone: "Done! {count} combinations found",
+    progressBest: "Best score {best}",
+    progressEta: "~{eta} left",
+    powerBreakdown: "Ability Score Breakdown",
+    powerDetails: "Details",
+    showPowerBreakdown: "Show where the ability score comes from",
+    breakdownAttribute: "Attribute",
+    breakdownValue: "Value",
+    breakdownLevel: "Level",
+    breakdownLevelPower: "Level power",
+    breakdownTotalShare: "Total-value share",
+    breakdownPower: "Power",
+    breakdownTotal: "Total",
+    breakdownNote: "The total-value bonus (+{power}) comes from all {value} attribute points together; it is split between attributes in proportion to their value.",
+    close: "Close",
+    slotCountAuto: "Slots: auto",
+    slotCountDetected: "Slots: auto ({count})",
+    slotCountOption: "Slots: {count}",
+    slotCountHint: "Modules per loadout. Auto uses the slots your character has unlocked, read from the capture.",
+    slotCountLabel: "{count} slots",
+    gameDataVersion: "Game data v{version}",
+    gameDataOverride: "custom",
+    gameDataHint: "Save a game data file as {path} to update the game tables",
+    gameDataIgnored: "Custom game data ignored: {errors}",
   },
   es: {
     moduleType: "Tipo de Módulo:",
@@ -45,16 +169,152 @@ const translations = {
     statusMonitoring: "Estado: Capturando datos del juego...",
     statusCaptured: "Estado: Datos capturados, listo para optimizar.",
     generating: "Generando optimizaciones, por favor espera...",
+    provenOptimal: "Óptimo comprobado",
+    heuristicResult: "Mejor encontrado",
+    seedPlaceholder: "Semilla (aleatoria)",
+    seedLabel: "Semilla",
+    seedHint: "Haz clic para reutilizar esta semilla",
+    warmStart: "Arranque en caliente",
+    warmStartHint: "Partió de los resultados anteriores, así que no hay semilla para repetirla",
+    lockedModules: "Módulos fijados:",
+    lockModule: "Fijar en todas las combinaciones",
+    unlockModule: "Quitar fijación",
+    maxLockedModules: "No se pueden fijar más de {count} módulos.",
+    excludedModules: "Módulos excluidos:",
+    excludeModule: "Excluir este módulo y volver a optimizar",
+    restoreModule: "Permitir este módulo de nuevo",
+    minLevels: "Niveles mínimos:",
+    addMinLevel: "Añadir",
+    removeMinLevel: "Quitar nivel mínimo",
+    unreachableLevel: "{attr} Nv.{level} no se puede alcanzar (máximo posible: Nv.{maxLevel}).",
+    unreachableCombined: "Ninguna combinación alcanza todos los niveles mínimos a la vez: {levels}.",
+    weightProfile: "Perfil de pesos:",
+    weightProfileNone: "Pesos por defecto",
+    classProfile: "Reglas de clase:",
+    classProfileNone: "Reglas por defecto",
+    classProfileNoneHint: "Los atributos físicos y mágicos se penalizan juntos; cada tipo de módulo premia sus propios atributos.",
+    classConflicts: "Conflictos: {groups}",
+    classBonus: "Bonificación: {attrs}",
+    classPenalties: "Penalizados: {attrs}",
+    classNone: "ninguno",
+    editWeightProfile: "Editar",
+    weightProfiles: "Perfiles de Pesos",
+    profileName: "Nombre del perfil:",
+    levelScores: "Puntos por nivel prioritario",
+    generalWeights: "General",
+    categoryBonus: "Bono de categoría",
+    conflictPenalty: "Penalización por conflicto",
+    attributeWeights: "Pesos por atributo",
+    deleteProfile: "Eliminar",
+    cancel: "Cancelar",
+    saveProfile: "Guardar",
+    profileNameRequired: "Introduce un nombre de perfil.",
+    profileSaveFailed: "No se pudieron guardar los perfiles de pesos.",
+    paretoMode: "Mostrar solo compromisos (frente de Pareto de puntuación, niveles prioritarios y efectos)",
+    abilityScore: "Puntuación",
+    priorityLevelSum: "Niveles prioritarios (suma)",
+    totalEffects: "Efectos",
+    priorityLevels: "Niveles Prioritarios",
+    loadouts: "Configuraciones:",
+    loadoutNamePlaceholder: "Nombre de la build",
+    loadoutWeightHint: "Peso de esta build en la puntuación combinada",
+    addLoadout: "Añadir build actual",
+    removeLoadout: "Quitar configuración",
+    optimizeLoadouts: "Optimizar configuraciones",
+    disjointLoadouts: "{count} configuraciones sin módulos compartidos",
+    loadoutFailed: "No hay módulos suficientes para la configuración \"{name}\" sin reutilizar módulos.",
+    nearMiss: "a {missing} de Nv.{level}",
+    levelUpSwaps: "Cambios para subir de nivel",
+    swapLine: "{attr} Nv.{from} → Nv.{to}: cambia {out} por {in}",
+    equivalentBuilds: "Configuraciones equivalentes",
+    equivalentBuildsHint: "Otros conjuntos de módulos que alcanzan los mismos niveles de atributos, p. ej. para dejar libre un módulo",
+    equivalentLine: "{in} en lugar de {out}",
+    equippedScore: "Equipado: {score}",
+    equippedSlot: "Ranura {slot}: {name}",
+    emptySlot: "vacía",
+    vsEquipped: "frente al equipo actual:",
+    alreadyEquipped: "Ya equipado",
+    equippedSwapLine: "Ranura {slot}: {out} → {in}",
+    equippedAddLine: "Añade {in}",
+    strategyGa: "Algoritmo genético",
+    strategyAnnealing: "Recocido simulado",
+    strategyTabu: "Búsqueda tabú",
+    strategyAll: "Todas las estrategias",
+    strategyHint: "Algoritmo de búsqueda usado cuando hay demasiadas combinaciones para comprobarlas todas. \"Todas las estrategias\" ejecuta cada una y combina sus resultados.",
+    progressSearch: "Tarea {campaign}/{campaigns} · Paso {generation}/{generations}",
+    maxSwapsNone: "Reconstrucción completa",
+    maxSwapsOption: "{count} cambio(s)",
+    maxSwapsHint: "Cambia como mucho este número de módulos de la configuración inicial: la equipada, o un resultado elegido con \"Empezar aquí\"",
+    diversityNone: "Cualquier solapamiento",
+    diversityOption: "Diferir en {count}+",
+    diversityHint: "Cada resultado debe usar al menos este número de módulos que no use ningún resultado mejor clasificado, para que la lista muestre configuraciones distintas en lugar de variaciones de una",
+    diversityLabel: "difieren en {count}+ módulos",
+    timeBudgetPlaceholder: "Tiempo límite (s)",
+    timeBudgetHint: "Sigue iniciando campañas de búsqueda durante estos segundos y conserva los mejores resultados encontrados. Vacío ejecuta un número fijo de generaciones.",
+    stallPlaceholder: "Límite sin mejora",
+    stallHint: "Termina una campaña de búsqueda cuando su mejor resultado no ha mejorado en este número de generaciones",
+    timeBudgetLabel: "búsqueda de {seconds}s, {count} campañas",
+    swapBase: "Configuración inicial:",
+    startHere: "Empezar aquí",
+    startHereHint: "Usar este resultado como configuración inicial del modo de cambios",
+    removeFromBase: "Dejar esta ranura vacía",
+    baseScore: "Configuración inicial: {score}",
+    vsBase: "frente a la configuración inicial:",
+    gainPerSwap: "{gain} por cambio",
+    withinSwaps: "Como mucho {count} cambio(s)",
+    swapBaseMissing: "No hay configuración inicial: captura los módulos equipados o elige un resultado con \"Empezar aquí\".",
+    noSwapImprovement: "Ninguna configuración a {count} cambio(s) o menos supera la configuración inicial.",
+    cancelOptimization: "Cancelar",
+    statusCancelled: "Estado: Optimización cancelada",
+    progressGaStart: "Iniciando {campaigns} tareas de optimización...",
+    progressGa: "Tarea {campaign}/{campaigns} · Generación {generation}/{generations}",
+    progressExact: "Comprobando todas las combinaciones · {percent}%",
+    progressDone: "¡Listo! {count} combinaciones encontradas",
+    progressBest: "Mejor puntuación {best}",
+    progressEta: "~{eta} restantes",
+    powerBreakdown: "Desglose de la puntuación",
+    powerDetails: "Detalles",
+    showPowerBreakdown: "Ver de dónde viene la puntuación de habilidad",
+    breakdownAttribute: "Atributo",
+    breakdownValue: "Valor",
+    breakdownLevel: "Nivel",
+    breakdownLevelPower: "Poder por nivel",
+    breakdownTotalShare: "Parte del valor total",
+    breakdownPower: "Poder",
+    breakdownTotal: "Total",
+    breakdownNote: "La bonificación por valor total (+{power}) viene de los {value} puntos de atributo juntos; se reparte entre los atributos en proporción a su valor.",
+    close: "Cerrar",
+    slotCountAuto: "Ranuras: auto",
+    slotCountDetected: "Ranuras: auto ({count})",
+    slotCountOption: "Ranuras: {count}",
+    slotCountHint: "Módulos por configuración. Auto usa las ranuras que tu personaje tiene desbloqueadas, leídas de la captura.",
+    slotCountLabel: "{count} ranuras",
+    gameDataVersion: "Datos del juego v{version}",
+    gameDataOverride: "personalizados",
+    gameDataHint: "Guarda un archivo de datos del juego como {path} para actualizar las tablas del juego",
+    gameDataIgnored: "Datos del juego personalizados ignorados: {errors}",
   },
 };
 
 // State
 let currentLanguage = 'en';
 let allAttributes = [];
+let gameDataInfo = null; // version and source of the game tables in use
+let attrThresholds = [1, 4, 8, 12, 16, 20]; // replaced by the game data's thresholds at startup
 let selectedAttributes = new Set();
 let prioritizedAttrs = [];
+let lockedModules = new Map(); // uuid -> module, pinned into every combination
+let excludedModules = new Map(); // uuid -> module, never used in a combination (persisted)
+let minLevels = {}; // attribute -> hard minimum level (1..6)
+let weightProfiles = {}; // profile name -> weights (persisted in the user-data folder)
+let classProfiles = {}; // class name -> conflict groups, bonus attributes and penalties
+let defaultWeights = null;
+let loadoutSpecs = []; // builds optimized together without sharing modules
+let capturedSlotCount = null; // module slots unlocked by the captured character, if known
+let swapBaseModules = new Map(); // uuid -> module, starting loadout of swap mode; empty uses the equipped one
 let networkInterfaces = [];
 let allResults = [];
+let lastRunInfo = null;
 let filteredResults = [];
 let currentDistFilter = 'All';
 let currentViewMode = 'grid'; // 'grid' or 'table'
@@ -76,11 +336,21 @@ const imagePathCache = {
 // DOM Elements
 const elements = {
   languageSelect: document.getElementById('language-select'),
+  gameDataVersion: document.getElementById('game-data-version'),
   moduleType: document.getElementById('module-type'),
   networkInterface: document.getElementById('network-interface'),
   attributesContainer: document.getElementById('attributes-container'),
   selectAllBtn: document.getElementById('select-all-btn'),
   priorityModeCheckbox: document.getElementById('priority-mode-checkbox'),
+  paretoModeCheckbox: document.getElementById('pareto-mode-checkbox'),
+  paretoPanel: document.getElementById('pareto-panel'),
+  paretoChart: document.getElementById('pareto-chart'),
+  paretoAxes: document.getElementById('pareto-axes'),
+  loadoutName: document.getElementById('loadout-name'),
+  loadoutWeight: document.getElementById('loadout-weight'),
+  loadoutAddBtn: document.getElementById('loadout-add-btn'),
+  loadoutsList: document.getElementById('loadouts-list'),
+  loadoutsOptimizeBtn: document.getElementById('loadouts-optimize-btn'),
   priorityList: document.getElementById('priority-list'),
   startBtn: document.getElementById('start-btn'),
   stopBtn: document.getElementById('stop-btn'),
@@ -93,11 +363,46 @@ const elements = {
   loadingOverlay: document.getElementById('loading-overlay'),
   loadingStatus: document.getElementById('loading-status'),
   progressBar: document.getElementById('progress-bar'),
+  cancelOptimizationBtn: document.getElementById('cancel-optimization-btn'),
   npcapModal: document.getElementById('npcap-modal'),
   npcapDownloadBtn: document.getElementById('npcap-download-btn'),
   npcapCloseBtn: document.getElementById('npcap-close-btn'),
   viewToggleBtn: document.getElementById('view-toggle-btn'),
   viewToggleBtnTable: document.getElementById('view-toggle-btn-table'),
+  runInfo: document.getElementById('run-info'),
+  equippedInfo: document.getElementById('equipped-info'),
+  seedInput: document.getElementById('seed-input'),
+  timeBudgetInput: document.getElementById('time-budget-input'),
+  stallInput: document.getElementById('stall-input'),
+  slotCountSelect: document.getElementById('slot-count-select'),
+  maxSwapsSelect: document.getElementById('max-swaps-select'),
+  diversitySelect: document.getElementById('diversity-select'),
+  strategySelect: document.getElementById('strategy-select'),
+  swapBase: document.getElementById('swap-base'),
+  swapBaseList: document.getElementById('swap-base-list'),
+  lockedModules: document.getElementById('locked-modules'),
+  lockedModulesList: document.getElementById('locked-modules-list'),
+  excludedModules: document.getElementById('excluded-modules'),
+  excludedModulesList: document.getElementById('excluded-modules-list'),
+  minLevelAttr: document.getElementById('min-level-attr'),
+  minLevelValue: document.getElementById('min-level-value'),
+  minLevelAddBtn: document.getElementById('min-level-add-btn'),
+  minLevelsList: document.getElementById('min-levels-list'),
+  weightProfileSelect: document.getElementById('weight-profile-select'),
+  classProfileSelect: document.getElementById('class-profile-select'),
+  weightProfileEditBtn: document.getElementById('weight-profile-edit-btn'),
+  weightProfileModal: document.getElementById('weight-profile-modal'),
+  weightProfileName: document.getElementById('weight-profile-name'),
+  weightLevelInputs: document.getElementById('weight-level-inputs'),
+  weightCategoryBonus: document.getElementById('weight-category-bonus'),
+  weightConflictPenalty: document.getElementById('weight-conflict-penalty'),
+  weightAttributeInputs: document.getElementById('weight-attribute-inputs'),
+  weightProfileDeleteBtn: document.getElementById('weight-profile-delete-btn'),
+  weightProfileCancelBtn: document.getElementById('weight-profile-cancel-btn'),
+  weightProfileSaveBtn: document.getElementById('weight-profile-save-btn'),
+  solutionDetailModal: document.getElementById('solution-detail-modal'),
+  solutionDetailBody: document.getElementById('solution-detail-body'),
+  solutionDetailCloseBtn: document.getElementById('solution-detail-close-btn'),
 };
 
 // Initialize
@@ -109,9 +414,33 @@ async function init() {
   networkInterfaces = await window.electronAPI.getNetworkInterfaces();
   populateNetworkInterfaces();
 
-  // Load all attributes
+  // Load all attributes and the game data they come from
   allAttributes = await window.electronAPI.getAllAttributes();
+  gameDataInfo = await window.electronAPI.getGameDataInfo();
+  attrThresholds = gameDataInfo.attrThresholds;
   createAttributeButtons();
+  populateMinLevelAttributes();
+
+  // Load excluded modules saved in previous sessions
+  const savedExcluded = await window.electronAPI.getExcludedModules();
+  excludedModules = new Map(savedExcluded.map(m => [m.uuid, m]));
+  updateExcludedModulesList();
+
+  // Load weight profiles
+  const weightData = await window.electronAPI.getWeightProfiles();
+  weightProfiles = weightData.profiles || {};
+  defaultWeights = weightData.defaults;
+  createWeightInputs();
+  populateWeightProfileSelect();
+
+  // Load class rule profiles
+  classProfiles = await window.electronAPI.getClassProfiles() || {};
+  populateClassProfileSelect();
+
+  // Load search settings saved in previous sessions
+  const searchSettings = await window.electronAPI.getSearchSettings();
+  elements.timeBudgetInput.value = searchSettings.timeBudgetSeconds || '';
+  elements.stallInput.value = searchSettings.stallGenerations || '';
 
   // Setup event listeners
   setupEventListeners();
@@ -242,6 +571,418 @@ function createAttributeButtons() {
   elements.attributesContainer.appendChild(fragment);
 }
 
+// Populate the minimum level attribute dropdown
+function populateMinLevelAttributes() {
+  const fragment = document.createDocumentFragment();
+  allAttributes.forEach(attr => {
+    const option = document.createElement('option');
+    option.value = attr;
+    option.textContent = attr;
+    fragment.appendChild(option);
+  });
+  elements.minLevelAttr.innerHTML = '';
+  elements.minLevelAttr.appendChild(fragment);
+}
+
+// Add or replace a minimum level
+function addMinLevel() {
+  const attr = elements.minLevelAttr.value;
+  if (!attr) return;
+  minLevels[attr] = parseInt(elements.minLevelValue.value, 10);
+  updateMinLevelsList();
+}
+
+// Remove a minimum level
+function removeMinLevel(attr) {
+  delete minLevels[attr];
+  updateMinLevelsList();
+}
+
+// Update minimum levels display
+function updateMinLevelsList() {
+  elements.minLevelsList.innerHTML = '';
+
+  const fragment = document.createDocumentFragment();
+
+  Object.entries(minLevels).forEach(([attr, level]) => {
+    const chip = document.createElement('div');
+    chip.className = 'module-chip';
+
+    chip.appendChild(createOptimizedImage(getAttributeImagePath(attr), attr, 'module-chip-icon'));
+
+    const label = document.createElement('span');
+    label.textContent = `${attr} ≥ Lv.${level}`;
+    chip.appendChild(label);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'priority-item-btn remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = translations[currentLanguage].removeMinLevel;
+    removeBtn.onclick = () => removeMinLevel(attr);
+    chip.appendChild(removeBtn);
+
+    fragment.appendChild(chip);
+  });
+
+  elements.minLevelsList.appendChild(fragment);
+}
+
+// Populate the weight profile dropdown, keeping the current choice when it still exists
+function populateWeightProfileSelect(selectedName = elements.weightProfileSelect.value) {
+  const fragment = document.createDocumentFragment();
+
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = translations[currentLanguage].weightProfileNone;
+  fragment.appendChild(noneOption);
+
+  Object.keys(weightProfiles).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    fragment.appendChild(option);
+  });
+
+  elements.weightProfileSelect.innerHTML = '';
+  elements.weightProfileSelect.appendChild(fragment);
+  elements.weightProfileSelect.value = weightProfiles[selectedName] ? selectedName : '';
+}
+
+// Get the selected weight profile, or null for the built-in weights
+function getSelectedWeightProfile() {
+  const name = elements.weightProfileSelect.value;
+  return weightProfiles[name] ? { name, ...weightProfiles[name] } : null;
+}
+
+// Populate the class profile dropdown
+function populateClassProfileSelect(selectedName = elements.classProfileSelect.value) {
+  const fragment = document.createDocumentFragment();
+
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = translations[currentLanguage].classProfileNone;
+  fragment.appendChild(noneOption);
+
+  Object.keys(classProfiles).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    fragment.appendChild(option);
+  });
+
+  elements.classProfileSelect.innerHTML = '';
+  elements.classProfileSelect.appendChild(fragment);
+  elements.classProfileSelect.value = classProfiles[selectedName] ? selectedName : '';
+  updateClassProfileHint();
+}
+
+// Get the selected class profile, or null for the built-in rules
+function getSelectedClassProfile() {
+  const name = elements.classProfileSelect.value;
+  return classProfiles[name] ? { name, ...classProfiles[name] } : null;
+}
+
+// Summarize the selected class profile's rules in the dropdown's tooltip
+function updateClassProfileHint() {
+  const t = translations[currentLanguage];
+  const profile = getSelectedClassProfile();
+  if (!profile) {
+    elements.classProfileSelect.title = t.classProfileNoneHint;
+    return;
+  }
+
+  const list = (items) => (items.length > 0 ? items.join(', ') : t.classNone);
+  const groupName = (group) => (Array.isArray(group) ? group.join('/') : group);
+  const conflicts = (profile.conflictGroups || []).map(pair => pair.map(groupName).join(' × '));
+  const penalties = Object.entries(profile.penalties || {}).map(([attr, points]) => `${attr} (−${points})`);
+  elements.classProfileSelect.title = [
+    t.classConflicts.replace('{groups}', list(conflicts)),
+    t.classBonus.replace('{attrs}', list((profile.bonusAttributes || []).map(groupName))),
+    t.classPenalties.replace('{attrs}', list(penalties)),
+  ].join('\n');
+}
+
+// Create a number input inside a labelled field
+function createWeightField(labelText, dataset) {
+  const field = document.createElement('label');
+  field.className = 'weight-field';
+
+  const label = document.createElement('span');
+  label.textContent = labelText;
+  field.appendChild(label);
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'select-input';
+  input.min = '0';
+  input.step = 'any';
+  Object.assign(input.dataset, dataset);
+  field.appendChild(input);
+
+  return field;
+}
+
+// Create the level and attribute inputs of the weight profile editor
+function createWeightInputs() {
+  const levelFragment = document.createDocumentFragment();
+  for (let level = 1; level <= 6; level++) {
+    levelFragment.appendChild(createWeightField(`Lv.${level}`, { level }));
+  }
+  elements.weightLevelInputs.appendChild(levelFragment);
+
+  const attrFragment = document.createDocumentFragment();
+  allAttributes.forEach(attr => {
+    attrFragment.appendChild(createWeightField(attr, { attr }));
+  });
+  elements.weightAttributeInputs.appendChild(attrFragment);
+}
+
+// Open the weight profile editor on the selected profile (or the defaults)
+function openWeightProfileEditor() {
+  const profile = getSelectedWeightProfile();
+  const weights = { ...defaultWeights, ...(profile || {}) };
+
+  elements.weightProfileName.value = profile ? profile.name : '';
+  elements.weightLevelInputs.querySelectorAll('input').forEach(input => {
+    input.value = weights.levelScores[input.dataset.level - 1];
+  });
+  elements.weightCategoryBonus.value = weights.categoryBonus;
+  elements.weightConflictPenalty.value = weights.conflictPenalty;
+  elements.weightAttributeInputs.querySelectorAll('input').forEach(input => {
+    input.value = (weights.attributes || {})[input.dataset.attr] ?? 1;
+  });
+  elements.weightProfileDeleteBtn.disabled = !profile;
+
+  elements.weightProfileModal.classList.remove('hidden');
+}
+
+function closeWeightProfileEditor() {
+  elements.weightProfileModal.classList.add('hidden');
+}
+
+// Read a non-negative number from an input, falling back when it is empty or invalid
+function readWeightInput(input, fallback) {
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Save the profile in the editor and select it
+async function saveWeightProfile() {
+  const t = translations[currentLanguage];
+  const name = elements.weightProfileName.value.trim();
+  if (!name) {
+    setStatus('custom', t.profileNameRequired);
+    elements.weightProfileName.focus();
+    return;
+  }
+
+  const levelScores = [...elements.weightLevelInputs.querySelectorAll('input')]
+    .map((input, i) => readWeightInput(input, defaultWeights.levelScores[i]));
+
+  // Only attributes that differ from the neutral weight are stored
+  const attributes = {};
+  elements.weightAttributeInputs.querySelectorAll('input').forEach(input => {
+    const weight = readWeightInput(input, 1);
+    if (weight !== 1) attributes[input.dataset.attr] = weight;
+  });
+
+  weightProfiles[name] = {
+    levelScores,
+    attributes,
+    categoryBonus: readWeightInput(elements.weightCategoryBonus, defaultWeights.categoryBonus),
+    conflictPenalty: readWeightInput(elements.weightConflictPenalty, defaultWeights.conflictPenalty),
+  };
+
+  await persistWeightProfiles(name);
+}
+
+// Delete the selected profile
+async function deleteWeightProfile() {
+  const profile = getSelectedWeightProfile();
+  if (!profile) return;
+  delete weightProfiles[profile.name];
+  await persistWeightProfiles('');
+}
+
+// Save weight profiles, select one and re-run the optimization with it
+async function persistWeightProfiles(selectedName) {
+  const result = await window.electronAPI.setWeightProfiles(weightProfiles);
+  if (!result.success) {
+    setStatus('custom', translations[currentLanguage].profileSaveFailed);
+    return;
+  }
+
+  populateWeightProfileSelect(selectedName);
+  closeWeightProfileEditor();
+  if (!elements.refilterBtn.disabled) {
+    rescreenModules();
+  }
+}
+
+// Save the current build settings as a loadout
+function addLoadoutSpec() {
+  const priorityOrderMode = elements.priorityModeCheckbox.checked;
+  const weight = parseFloat(elements.loadoutWeight.value);
+
+  loadoutSpecs.push({
+    name: elements.loadoutName.value.trim() || `Build ${loadoutSpecs.length + 1}`,
+    weight: Number.isFinite(weight) && weight >= 0 ? weight : 1,
+    category: elements.moduleType.value,
+    attributes: [...selectedAttributes],
+    prioritizedAttrs: priorityOrderMode ? [...prioritizedAttrs] : [],
+    priorityOrderMode,
+    options: {
+      minLevels: { ...minLevels },
+      lockedUuids: [...lockedModules.keys()],
+      weightProfile: getSelectedWeightProfile(),
+      classProfile: getSelectedClassProfile(),
+    },
+  });
+
+  elements.loadoutName.value = '';
+  updateLoadoutsList();
+}
+
+// Remove a loadout
+function removeLoadoutSpec(index) {
+  loadoutSpecs.splice(index, 1);
+  updateLoadoutsList();
+}
+
+// Update loadouts display
+function updateLoadoutsList() {
+  elements.loadoutsList.innerHTML = '';
+
+  const fragment = document.createDocumentFragment();
+
+  loadoutSpecs.forEach((spec, index) => {
+    const chip = document.createElement('div');
+    chip.className = 'module-chip';
+
+    const label = document.createElement('span');
+    label.textContent = `${spec.name} · ${spec.category} ×${spec.weight}`;
+    chip.appendChild(label);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'priority-item-btn remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = translations[currentLanguage].removeLoadout;
+    removeBtn.onclick = () => removeLoadoutSpec(index);
+    chip.appendChild(removeBtn);
+
+    fragment.appendChild(chip);
+  });
+
+  elements.loadoutsList.appendChild(fragment);
+  elements.loadoutsOptimizeBtn.disabled = loadoutSpecs.length < 2 || elements.refilterBtn.disabled;
+}
+
+// Optimize every loadout at once, without sharing modules
+async function optimizeLoadouts() {
+  const seedValue = elements.seedInput.value.trim();
+
+  showLoading();
+
+  await window.electronAPI.optimizeLoadouts({
+    specs: loadoutSpecs,
+    seed: seedValue === '' ? null : Number(seedValue),
+    excludedUuids: [...excludedModules.keys()],
+    slotCount: getSlotCount(),
+    strategies: getStrategies(),
+    timeBudgetMs: getTimeBudgetMs(),
+    stallGenerations: getStallGenerations(),
+  });
+}
+
+// Manual loadout size, or null to use the captured slot count
+function getSlotCount() {
+  const value = elements.slotCountSelect.value;
+  return value === '' ? null : Number(value);
+}
+
+// Label the slot count options, showing the detected count on the automatic one
+function updateSlotCountOptions() {
+  const t = translations[currentLanguage];
+  [...elements.slotCountSelect.options].forEach(option => {
+    if (option.value !== '') {
+      option.textContent = t.slotCountOption.replace('{count}', option.value);
+    } else if (capturedSlotCount) {
+      option.textContent = t.slotCountDetected.replace('{count}', capturedSlotCount);
+    } else {
+      option.textContent = t.slotCountAuto;
+    }
+  });
+}
+
+// Search strategies to run, from the strategy dropdown
+function getStrategies() {
+  const value = elements.strategySelect.value;
+  return value === 'all' ? ['ga', 'annealing', 'tabu'] : [value];
+}
+
+// Swap limit of swap mode, or null to rebuild the loadout from scratch
+function getMaxSwaps() {
+  const value = elements.maxSwapsSelect.value;
+  return value === '' ? null : Number(value);
+}
+
+// Label the swap limit options in the current language
+function updateMaxSwapsOptions() {
+  const t = translations[currentLanguage];
+  [...elements.maxSwapsSelect.options].forEach(option => {
+    option.textContent = option.value === '' ? t.maxSwapsNone : t.maxSwapsOption.replace('{count}', option.value);
+  });
+}
+
+// Search time budget in milliseconds, or null to run a fixed number of generations
+function getTimeBudgetMs() {
+  const seconds = Number(elements.timeBudgetInput.value);
+  return seconds > 0 ? Math.round(seconds * 1000) : null;
+}
+
+// Generations without improvement after which a campaign stops, or null to never stop early
+function getStallGenerations() {
+  const generations = Math.floor(Number(elements.stallInput.value));
+  return generations > 0 ? generations : null;
+}
+
+// Persist the search settings; they apply from the next run
+async function saveSearchSettings() {
+  const timeBudgetMs = getTimeBudgetMs();
+  await window.electronAPI.setSearchSettings({
+    timeBudgetSeconds: timeBudgetMs === null ? null : timeBudgetMs / 1000,
+    stallGenerations: getStallGenerations(),
+  });
+}
+
+// Modules each result must differ by from the others, or 0 to allow near-identical results
+function getMinDifference() {
+  return Number(elements.diversitySelect.value) || 0;
+}
+
+// Label the diversity options in the current language
+function updateDiversityOptions() {
+  const t = translations[currentLanguage];
+  [...elements.diversitySelect.options].forEach(option => {
+    option.textContent = option.value === '' ? t.diversityNone : t.diversityOption.replace('{count}', option.value);
+  });
+}
+
+// Use a result as the starting loadout of swap mode
+function setSwapBase(solution) {
+  swapBaseModules = new Map(solution.modules.map(module => [module.uuid, module]));
+  updateSwapBaseList();
+  if (getMaxSwaps() && !elements.refilterBtn.disabled) {
+    rescreenModules();
+  }
+}
+
+// Drop a module from the starting loadout, leaving its slot empty
+function removeSwapBaseModule(module) {
+  swapBaseModules.delete(module.uuid);
+  updateSwapBaseList();
+}
+
 // Toggle attribute selection
 function toggleAttribute(attr, btn) {
   if (selectedAttributes.has(attr)) {
@@ -370,6 +1111,110 @@ window.removePriorityAttr = function(attr) {
   updateSelectAllBtn();
 };
 
+// Lock or unlock a module for every combination
+function toggleLockedModule(module) {
+  if (lockedModules.has(module.uuid)) {
+    lockedModules.delete(module.uuid);
+  } else {
+    const slotCount = getSlotCount() || capturedSlotCount || 4;
+    if (lockedModules.size >= slotCount) {
+      alert(translations[currentLanguage].maxLockedModules.replace('{count}', slotCount));
+      return;
+    }
+    lockedModules.set(module.uuid, module);
+  }
+  updateLockedModulesList();
+  displayCurrentPage();
+}
+
+// Exclude a module from every combination and re-run the optimization
+async function excludeModule(module) {
+  excludedModules.set(module.uuid, module);
+  lockedModules.delete(module.uuid);
+  await saveExcludedModules();
+  updateLockedModulesList();
+  if (!elements.refilterBtn.disabled) {
+    rescreenModules();
+  }
+}
+
+// Allow an excluded module in combinations again
+async function restoreExcludedModule(module) {
+  excludedModules.delete(module.uuid);
+  await saveExcludedModules();
+}
+
+// Persist excluded modules and refresh their display
+async function saveExcludedModules() {
+  updateExcludedModulesList();
+  await window.electronAPI.setExcludedModules([...excludedModules.values()]);
+}
+
+// Render a row of module chips with a remove button each
+function renderModuleChips(container, modules, chipClass, removeTitle, onRemove) {
+  container.innerHTML = '';
+
+  const fragment = document.createDocumentFragment();
+
+  modules.forEach(module => {
+    const chip = document.createElement('div');
+    chip.className = `module-chip ${chipClass}`;
+
+    chip.appendChild(createOptimizedImage(getModuleImagePath(module.name), module.name, 'module-chip-icon'));
+
+    const label = document.createElement('span');
+    label.textContent = module.parts.map(p => `${p.name} +${p.value}`).join(', ');
+    chip.appendChild(label);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'priority-item-btn remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = removeTitle;
+    removeBtn.onclick = () => onRemove(module);
+    chip.appendChild(removeBtn);
+
+    fragment.appendChild(chip);
+  });
+
+  container.appendChild(fragment);
+}
+
+// Update locked modules display
+function updateLockedModulesList() {
+  elements.lockedModules.classList.toggle('hidden', lockedModules.size === 0);
+  renderModuleChips(
+    elements.lockedModulesList,
+    lockedModules,
+    'locked',
+    translations[currentLanguage].unlockModule,
+    toggleLockedModule
+  );
+}
+
+// Update excluded modules display
+function updateExcludedModulesList() {
+  elements.excludedModules.classList.toggle('hidden', excludedModules.size === 0);
+  renderModuleChips(
+    elements.excludedModulesList,
+    excludedModules,
+    'excluded',
+    translations[currentLanguage].restoreModule,
+    restoreExcludedModule
+  );
+}
+
+// Update starting loadout display
+function updateSwapBaseList() {
+  elements.swapBase.classList.toggle('hidden', swapBaseModules.size === 0);
+  renderModuleChips(
+    elements.swapBaseList,
+    swapBaseModules,
+    'swap-base',
+    translations[currentLanguage].removeFromBase,
+    removeSwapBaseModule
+  );
+}
+
 // Setup event listeners
 function setupEventListeners() {
   // Language change
@@ -400,6 +1245,92 @@ function setupEventListeners() {
   // Refilter
   elements.refilterBtn.addEventListener('click', rescreenModules);
 
+  // Minimum levels
+  elements.minLevelAddBtn.addEventListener('click', addMinLevel);
+
+  // Cancel the running optimization
+  elements.cancelOptimizationBtn.addEventListener('click', cancelOptimization);
+
+  // Disjoint loadouts
+  elements.loadoutAddBtn.addEventListener('click', addLoadoutSpec);
+  elements.loadoutsOptimizeBtn.addEventListener('click', optimizeLoadouts);
+
+  // Pareto front mode
+  elements.paretoModeCheckbox.addEventListener('change', () => {
+    if (!elements.refilterBtn.disabled) {
+      rescreenModules();
+    }
+  });
+
+  // Loadout size
+  elements.slotCountSelect.addEventListener('change', () => {
+    if (!elements.refilterBtn.disabled) {
+      rescreenModules();
+    }
+  });
+
+  // Search strategy
+  elements.strategySelect.addEventListener('change', () => {
+    if (!elements.refilterBtn.disabled) {
+      rescreenModules();
+    }
+  });
+
+  // Search time budget and no-improvement stop
+  elements.timeBudgetInput.addEventListener('change', saveSearchSettings);
+  elements.stallInput.addEventListener('change', saveSearchSettings);
+
+  // Result diversity
+  elements.diversitySelect.addEventListener('change', () => {
+    if (!elements.refilterBtn.disabled) {
+      rescreenModules();
+    }
+  });
+
+  // Swap limit
+  elements.maxSwapsSelect.addEventListener('change', () => {
+    if (!elements.refilterBtn.disabled) {
+      rescreenModules();
+    }
+  });
+
+  // Weight profiles
+  elements.weightProfileSelect.addEventListener('change', () => {
+    if (!elements.refilterBtn.disabled) {
+      rescreenModules();
+    }
+  });
+  elements.weightProfileEditBtn.addEventListener('click', openWeightProfileEditor);
+
+  // Class rule profiles
+  elements.classProfileSelect.addEventListener('change', () => {
+    updateClassProfileHint();
+    if (!elements.refilterBtn.disabled) {
+      rescreenModules();
+    }
+  });
+  elements.weightProfileSaveBtn.addEventListener('click', saveWeightProfile);
+  elements.weightProfileDeleteBtn.addEventListener('click', deleteWeightProfile);
+  elements.weightProfileCancelBtn.addEventListener('click', closeWeightProfileEditor);
+  elements.weightProfileModal.addEventListener('click', (e) => {
+    if (e.target === elements.weightProfileModal) {
+      closeWeightProfileEditor();
+    }
+  });
+  elements.solutionDetailCloseBtn.addEventListener('click', closeSolutionDetail);
+  elements.solutionDetailModal.addEventListener('click', (e) => {
+    if (e.target === elements.solutionDetailModal) {
+      closeSolutionDetail();
+    }
+  });
+
+  // Reuse the seed of the displayed results
+  elements.runInfo.addEventListener('click', () => {
+    if (lastRunInfo && lastRunInfo.seed !== undefined && lastRunInfo.seed !== null) {
+      elements.seedInput.value = lastRunInfo.seed;
+    }
+  });
+
   // Social links
   document.querySelectorAll('.social-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -454,13 +1385,22 @@ function setupEventListeners() {
     if (e.key === 'Escape' && !elements.npcapModal.classList.contains('hidden')) {
       hideNpcapModal();
     }
+    if (e.key === 'Escape' && !elements.weightProfileModal.classList.contains('hidden')) {
+      closeWeightProfileEditor();
+    }
+    if (e.key === 'Escape' && !elements.solutionDetailModal.classList.contains('hidden')) {
+      closeSolutionDetail();
+    }
   });
 }
 
 // Setup IPC listeners
 function setupIPCListeners() {
-  window.electronAPI.onDataCaptured(() => {
+  window.electronAPI.onDataCaptured((captureInfo) => {
+    capturedSlotCount = captureInfo ? captureInfo.slotCount : null;
+    updateSlotCountOptions();
     elements.refilterBtn.disabled = false;
+    updateLoadoutsList();
     setStatus('statusCaptured');
     // Show loading screen when automatic optimization starts
     showLoading();
@@ -470,25 +1410,27 @@ function setupIPCListeners() {
     setStatus('custom', message);
     // Update loading overlay status if visible
     if (!elements.loadingOverlay.classList.contains('hidden')) {
-      // Parse progress from message (format: "Task x/15 completed. Highest score: ...")
-      const taskMatch = message.match(/Task (\d+)\/(\d+)/);
-      if (taskMatch) {
-        const current = parseInt(taskMatch[1], 10);
-        const total = parseInt(taskMatch[2], 10);
-        const progress = (current / total) * 100;
-        elements.progressBar.style.width = `${progress}%`;
-        // Keep a generic message instead of the detailed task message
-        const t = translations[currentLanguage];
-        elements.loadingStatus.textContent = t.generating;
-      } else {
-        // For non-task messages, just update the text
-        elements.loadingStatus.textContent = message;
-      }
+      elements.loadingStatus.textContent = message;
+    }
+  });
+
+  window.electronAPI.onOptimizationProgress((progressEvent) => {
+    const text = formatProgressEvent(progressEvent);
+    setStatus('custom', text);
+    if (!elements.loadingOverlay.classList.contains('hidden')) {
+      elements.progressBar.style.width = `${Math.round(progressEvent.progress * 100)}%`;
+      elements.loadingStatus.textContent = text;
     }
   });
 
-  window.electronAPI.onResultsReady((results) => {
+  window.electronAPI.onResultsReady((results, runInfo) => {
     allResults = results;
+    lastRunInfo = runInfo || null;
+    updateRunInfo();
+    const constraintMessage = getConstraintMessage() || getLoadoutMessage() || getSwapMessage();
+    if (constraintMessage) {
+      setStatus('custom', constraintMessage);
+    }
     applyFiltersAndDisplay();
     hideLoading();
     elements.distributionFilter.classList.remove('hidden');
@@ -514,11 +1456,14 @@ async function startMonitoring() {
   elements.startBtn.classList.add('hidden');
   elements.stopBtn.classList.remove('hidden');
   elements.refilterBtn.disabled = true;
+  updateLoadoutsList();
   elements.networkInterface.disabled = true;
 
   // Clear previous results
   allResults = [];
   filteredResults = [];
+  lastRunInfo = null;
+  updateRunInfo();
   renderEmptyState();
 
   const result = await window.electronAPI.startMonitoring({
@@ -527,6 +1472,19 @@ async function startMonitoring() {
     attributes,
     prioritizedAttrs: priorityOrderMode ? prioritizedAttrs : [],
     priorityOrderMode,
+    lockedUuids: [...lockedModules.keys()],
+    excludedUuids: [...excludedModules.keys()],
+    minLevels,
+    weightProfile: getSelectedWeightProfile(),
+    classProfile: getSelectedClassProfile(),
+    paretoFront: elements.paretoModeCheckbox.checked,
+    slotCount: getSlotCount(),
+    strategies: getStrategies(),
+    maxSwaps: getMaxSwaps(),
+    baseUuids: [...swapBaseModules.keys()],
+    minDifference: getMinDifference(),
+    timeBudgetMs: getTimeBudgetMs(),
+    stallGenerations: getStallGenerations(),
   });
 
   if (result.success) {
@@ -572,6 +1530,7 @@ const debouncedRescreen = debounce(async function() {
   const category = elements.moduleType.value;
   const attributes = [...selectedAttributes];
   const priorityOrderMode = elements.priorityModeCheckbox.checked;
+  const seedValue = elements.seedInput.value.trim();
 
   showLoading();
   
@@ -580,6 +1539,20 @@ const debouncedRescreen = debounce(async function() {
     attributes,
     prioritizedAttrs: priorityOrderMode ? prioritizedAttrs : [],
     priorityOrderMode,
+    seed: seedValue === '' ? null : Number(seedValue),
+    lockedUuids: [...lockedModules.keys()],
+    excludedUuids: [...excludedModules.keys()],
+    minLevels,
+    weightProfile: getSelectedWeightProfile(),
+    classProfile: getSelectedClassProfile(),
+    paretoFront: elements.paretoModeCheckbox.checked,
+    slotCount: getSlotCount(),
+    strategies: getStrategies(),
+    maxSwaps: getMaxSwaps(),
+    baseUuids: [...swapBaseModules.keys()],
+    minDifference: getMinDifference(),
+    timeBudgetMs: getTimeBudgetMs(),
+    stallGenerations: getStallGenerations(),
   });
 }, 300);
 
@@ -588,6 +1561,50 @@ async function rescreenModules() {
   await debouncedRescreen();
 }
 
+// Format a duration in milliseconds as "45s" or "2m 05s"
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Describe an optimizer progress event in the current language
+function formatProgressEvent(progressEvent) {
+  const t = translations[currentLanguage];
+  const parts = [];
+
+  if (progressEvent.stage === 'done') {
+    parts.push(t.progressDone.replace('{count}', progressEvent.solutionCount));
+  } else if (progressEvent.stage === 'exact') {
+    parts.push(t.progressExact.replace('{percent}', Math.round(progressEvent.progress * 100)));
+  } else if (progressEvent.campaign === undefined) {
+    parts.push(t.progressGaStart.replace('{campaigns}', progressEvent.campaigns));
+  } else {
+    parts.push((progressEvent.stage === 'ga' ? t.progressGa : t.progressSearch)
+      .replace('{campaign}', progressEvent.campaign + 1)
+      .replace('{campaigns}', progressEvent.campaigns)
+      .replace('{generation}', progressEvent.generation)
+      .replace('{generations}', progressEvent.generations));
+  }
+
+  if (typeof progressEvent.bestFitness === 'number' && progressEvent.stage !== 'done') {
+    parts.push(t.progressBest.replace('{best}', Math.round(progressEvent.bestFitness)));
+  }
+  if (progressEvent.etaMs && progressEvent.stage !== 'done') {
+    parts.push(t.progressEta.replace('{eta}', formatDuration(progressEvent.etaMs)));
+  }
+
+  const text = parts.join(' · ');
+  return progressEvent.loadoutName ? `${progressEvent.loadoutName}: ${text}` : text;
+}
+
+// Cancel the running optimization and keep the current results
+async function cancelOptimization() {
+  await window.electronAPI.cancelOptimization();
+  hideLoading();
+  setStatus('statusCancelled');
+}
+
 // Apply distribution filter
 function setDistributionFilter(filter) {
   currentDistFilter = filter;
@@ -632,8 +1649,9 @@ function applyFiltersAndDisplay() {
     filteredResults = allResults.filter(sol => {
       let lv5Count = 0, lv6Count = 0;
       for (const value of Object.values(sol.attrBreakdown)) {
-        if (value >= 20) lv6Count++;
-        else if (value >= 16) lv5Count++;
+        const level = getAttributeLevel(value);
+        if (level === 6) lv6Count++;
+        else if (level === 5) lv5Count++;
       }
       
       switch (currentDistFilter) {
@@ -646,9 +1664,108 @@ function applyFiltersAndDisplay() {
     });
   }
   
+  renderParetoChart();
   displayCurrentPage();
 }
 
+// Get the level of each attribute the Pareto front was computed on
+function getParetoLevels(solution) {
+  return lastRunInfo.paretoAttrs.map(attr => getAttributeLevel(solution.attrBreakdown[attr] || 0));
+}
+
+function getAttributeLevel(value) {
+  return attrThresholds.filter(threshold => value >= threshold).length;
+}
+
+// Plot the Pareto front: ability score against priority levels (or effects without priorities)
+function renderParetoChart() {
+  const chart = elements.paretoChart;
+  chart.innerHTML = '';
+
+  if (!lastRunInfo || !lastRunInfo.paretoFront || filteredResults.length === 0) {
+    elements.paretoPanel.classList.add('hidden');
+    return;
+  }
+  elements.paretoPanel.classList.remove('hidden');
+
+  const t = translations[currentLanguage];
+  const useLevels = lastRunInfo.paretoAttrs.length > 0;
+  const points = filteredResults.map((sol, i) => {
+    const totalEffects = Object.values(sol.attrBreakdown).reduce((a, b) => a + b, 0);
+    const levels = useLevels ? getParetoLevels(sol) : [];
+    return {
+      rank: i + 1,
+      x: sol.score,
+      y: useLevels ? levels.reduce((a, b) => a + b, 0) : totalEffects,
+      totalEffects,
+      levels,
+    };
+  });
+
+  const width = 600;
+  const height = 220;
+  const pad = 12;
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+  const scaleX = (x) => pad + (maxX === minX ? 0.5 : (x - minX) / (maxX - minX)) * (width - 2 * pad);
+  const scaleY = (y) => height - pad - (maxY === minY ? 0.5 : (y - minY) / (maxY - minY)) * (height - 2 * pad);
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const fragment = document.createDocumentFragment();
+
+  [0.25, 0.5, 0.75].forEach(f => {
+    const line = document.createElementNS(svgNs, 'line');
+    line.setAttribute('class', 'pareto-grid');
+    line.setAttribute('x1', pad);
+    line.setAttribute('x2', width - pad);
+    line.setAttribute('y1', pad + f * (height - 2 * pad));
+    line.setAttribute('y2', pad + f * (height - 2 * pad));
+    fragment.appendChild(line);
+  });
+
+  points.forEach(p => {
+    const circle = document.createElementNS(svgNs, 'circle');
+    circle.setAttribute('class', 'pareto-point');
+    circle.setAttribute('cx', scaleX(p.x));
+    circle.setAttribute('cy', scaleY(p.y));
+    circle.setAttribute('r', 6);
+
+    const title = document.createElementNS(svgNs, 'title');
+    const levelText = lastRunInfo.paretoAttrs.map((attr, i) => `${attr} Lv.${p.levels[i]}`).join(', ');
+    title.textContent = `#${p.rank} · ${t.abilityScore}: ${Math.round(p.x)} · ${t.totalEffects}: ${p.totalEffects}` +
+      (levelText ? `\n${levelText}` : '');
+    circle.appendChild(title);
+
+    circle.addEventListener('click', () => scrollToResult(p.rank));
+    fragment.appendChild(circle);
+  });
+
+  chart.appendChild(fragment);
+
+  const yLabel = useLevels ? t.priorityLevelSum : t.totalEffects;
+  elements.paretoAxes.textContent = '';
+  const xAxis = document.createElement('span');
+  xAxis.textContent = `→ ${t.abilityScore} (${Math.round(minX)}–${Math.round(maxX)})`;
+  const yAxis = document.createElement('span');
+  yAxis.textContent = `↑ ${yLabel} (${minY}–${maxY})`;
+  elements.paretoAxes.appendChild(xAxis);
+  elements.paretoAxes.appendChild(yAxis);
+}
+
+// Scroll a result into view and flash it
+function scrollToResult(rank) {
+  const target = elements.resultsContainer.querySelector(`[data-rank="${rank}"]`);
+  if (!target) {
+    elements.resultsContainer.scrollTop = (rank - 1) * (cardHeight || 200);
+    return;
+  }
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  target.classList.add('highlighted');
+  setTimeout(() => target.classList.remove('highlighted'), 1500);
+}
+
 /**
  * Initialize virtual scrolling observer
  * @private
@@ -868,6 +1985,7 @@ function createOptimizedImage(src, alt, className) {
 
 // Create result card element (optimized with DocumentFragment and cached paths)
 function createResultCardElement(solution, rank) {
+  const t = translations[currentLanguage];
   const totalAttrValue = Object.values(solution.attrBreakdown).reduce((a, b) => a + b, 0);
   const rarityColors = {
     'Rare': 'rare',
@@ -881,6 +1999,7 @@ function createResultCardElement(solution, rank) {
   // Create main card element
   const card = document.createElement('div');
   card.className = 'result-card';
+  card.dataset.rank = rank;
 
   // Create header
   const header = document.createElement('div');
@@ -890,9 +2009,26 @@ function createResultCardElement(solution, rank) {
   rankDiv.innerHTML = `
     <div>Effects: ${totalAttrValue}</div> 
     <div>Ability Score: ${Math.round(solution.score)}</div>
-    <div>Rank ${rank}</div>
+    <div></div>
   `;
+  rankDiv.lastElementChild.textContent = solution.loadoutName || `Rank ${rank}`;
   header.appendChild(rankDiv);
+  if (solution.powerBreakdown) {
+    const detailBtn = document.createElement('button');
+    detailBtn.className = 'pill-btn result-detail-btn';
+    detailBtn.textContent = t.powerDetails;
+    detailBtn.title = t.showPowerBreakdown;
+    detailBtn.addEventListener('click', () => openSolutionDetail(solution, rank));
+    header.appendChild(detailBtn);
+  }
+  if (!solution.loadoutName) {
+    const baseBtn = document.createElement('button');
+    baseBtn.className = 'pill-btn result-base-btn';
+    baseBtn.textContent = t.startHere;
+    baseBtn.title = t.startHereHint;
+    baseBtn.addEventListener('click', () => setSwapBase(solution));
+    header.appendChild(baseBtn);
+  }
   card.appendChild(header);
 
   // Create modules container
@@ -906,8 +2042,9 @@ function createResultCardElement(solution, rank) {
     const rarity = module.name.split(' ')[0];
     const rarityClass = rarityColors[rarity] || '';
     
+    const isLocked = lockedModules.has(module.uuid);
     const moduleCard = document.createElement('div');
-    moduleCard.className = `module-card ${rarityClass}`;
+    moduleCard.className = `module-card ${rarityClass} ${isLocked ? 'locked' : ''}`;
     
     const moduleIcon = document.createElement('div');
     moduleIcon.className = 'module-icon';
@@ -942,6 +2079,25 @@ function createResultCardElement(solution, rank) {
     
     attrsDiv.appendChild(attrsFragment);
     moduleCard.appendChild(attrsDiv);
+
+    const lockBtn = document.createElement('button');
+    lockBtn.className = 'module-action-btn lock';
+    lockBtn.textContent = isLocked ? '🔒' : '🔓';
+    lockBtn.title = isLocked ? t.unlockModule : t.lockModule;
+    lockBtn.addEventListener('click', () => toggleLockedModule(module));
+
+    const excludeBtn = document.createElement('button');
+    excludeBtn.className = 'module-action-btn';
+    excludeBtn.textContent = '🚫';
+    excludeBtn.title = t.excludeModule;
+    excludeBtn.addEventListener('click', () => excludeModule(module));
+
+    const actions = document.createElement('div');
+    actions.className = 'module-actions';
+    actions.appendChild(lockBtn);
+    actions.appendChild(excludeBtn);
+    moduleCard.appendChild(actions);
+
     modulesFragment.appendChild(moduleCard);
   });
   
@@ -961,21 +2117,16 @@ function createResultCardElement(solution, rank) {
   
   // Use DocumentFragment for attribute distribution items
   const attrDistFragment = document.createDocumentFragment();
+  const nearMisses = new Map((solution.nearMisses || []).map(miss => [miss.attr, miss]));
   
   Object.entries(solution.attrBreakdown)
     .sort((a, b) => b[1] - a[1])
     .forEach(([name, value]) => {
-      let level = 0;
-      if (value >= 20) level = 6;
-      else if (value >= 16) level = 5;
-      else if (value >= 12) level = 4;
-      else if (value >= 8) level = 3;
-      else if (value >= 4) level = 2;
-      else if (value >= 1) level = 1;
-      
+      const level = getAttributeLevel(value);
       const isHighLevel = level >= 5;
+      const nearMiss = nearMisses.get(name);
       const item = document.createElement('div');
-      item.className = `attr-dist-item ${isHighLevel ? 'high-level' : ''}`;
+      item.className = `attr-dist-item ${isHighLevel ? 'high-level' : ''} ${nearMiss ? 'near-miss' : ''}`;
       const distImg = createOptimizedImage(
         getAttributeImagePath(name),
         name,
@@ -983,6 +2134,9 @@ function createResultCardElement(solution, rank) {
       );
       const distSpan = document.createElement('span');
       distSpan.textContent = `${name} (Lv.${level}): +${value}`;
+      if (nearMiss) {
+        distSpan.textContent += ` · ${t.nearMiss.replace('{missing}', nearMiss.missing).replace('{level}', nearMiss.nextLevel)}`;
+      }
       item.appendChild(distImg);
       item.appendChild(distSpan);
       attrDistFragment.appendChild(item);
@@ -992,9 +2146,228 @@ function createResultCardElement(solution, rank) {
   attrDist.appendChild(attrList);
   card.appendChild(attrDist);
 
+  // What changes compared with the modules equipped right now
+  if (solution.equippedDelta) {
+    card.appendChild(createEquippedDelta(solution.equippedDelta, solution.gainPerSwap));
+  }
+
+  // Single swaps that would raise an attribute to its next level
+  if (solution.levelUpSwaps && solution.levelUpSwaps.length > 0) {
+    card.appendChild(createSwapReport(solution.levelUpSwaps));
+  }
+
+  // Other module sets with the same attribute levels
+  if (solution.equivalentBuilds && solution.equivalentBuilds.length > 0) {
+    card.appendChild(createEquivalentBuilds(solution));
+  }
+
   return card;
 }
 
+// Create the collapsible list of level-up swaps of a result
+function createSwapReport(swaps) {
+  const t = translations[currentLanguage];
+  const details = document.createElement('details');
+  details.className = 'swap-report';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${t.levelUpSwaps} (${swaps.length})`;
+  details.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.className = 'swap-report-list';
+  swaps.forEach(swap => {
+    const item = document.createElement('li');
+    const parts = swap.inModule.parts.map(p => `${p.name} +${p.value}`).join(', ');
+
+    item.textContent = t.swapLine
+      .replace('{attr}', swap.attr)
+      .replace('{from}', swap.fromLevel)
+      .replace('{to}', swap.toLevel)
+      .replace('{out}', swap.outModule.name)
+      .replace('{in}', `${swap.inModule.name} (${parts})`) + ' ';
+    item.appendChild(createScoreDelta(swap.scoreDelta));
+    list.appendChild(item);
+  });
+  details.appendChild(list);
+
+  return details;
+}
+
+// Create the collapsible list of builds reaching the same attribute levels as a result,
+// each described by the modules it uses instead of the result's
+function createEquivalentBuilds(solution) {
+  const t = translations[currentLanguage];
+  const details = document.createElement('details');
+  details.className = 'swap-report equivalent-builds';
+  details.title = t.equivalentBuildsHint;
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${t.equivalentBuilds} (${solution.equivalentBuilds.length})`;
+  details.appendChild(summary);
+
+  const describe = (module) => `${module.name} (${module.parts.map(p => `${p.name} +${p.value}`).join(', ')})`;
+  const shownUuids = new Set(solution.modules.map(m => m.uuid));
+  const list = document.createElement('ul');
+  list.className = 'swap-report-list';
+  solution.equivalentBuilds.forEach(build => {
+    const buildUuids = new Set(build.modules.map(m => m.uuid));
+    const added = build.modules.filter(m => !shownUuids.has(m.uuid)).map(describe);
+    const removed = solution.modules.filter(m => !buildUuids.has(m.uuid)).map(describe);
+    const item = document.createElement('li');
+    item.textContent = t.equivalentLine
+      .replace('{in}', added.join(', '))
+      .replace('{out}', removed.join(', ')) + ' ';
+    item.appendChild(createScoreDelta(Math.round(build.score - solution.score)));
+    list.appendChild(item);
+  });
+  details.appendChild(list);
+
+  return details;
+}
+
+// Create the score change, level changes and slot swaps of a result against the equipped loadout
+function createEquippedDelta(delta, gainPerSwap) {
+  const t = translations[currentLanguage];
+  const container = document.createElement('div');
+  container.className = 'equipped-delta';
+
+  const title = document.createElement('div');
+  title.className = 'equipped-delta-title';
+  title.textContent = `${isManualSwapBase() ? t.vsBase : t.vsEquipped} `;
+  title.appendChild(createScoreDelta(delta.scoreDelta));
+  if (gainPerSwap !== undefined) {
+    title.appendChild(document.createTextNode(` (${t.gainPerSwap.replace('{gain}', gainPerSwap)})`));
+  }
+  container.appendChild(title);
+
+  if (delta.levelChanges.length > 0) {
+    const levels = document.createElement('div');
+    levels.className = 'equipped-delta-levels';
+    levels.textContent = delta.levelChanges
+      .map(change => `${change.attr} Lv.${change.fromLevel} → Lv.${change.toLevel}`)
+      .join(', ');
+    container.appendChild(levels);
+  }
+
+  if (delta.swaps.length === 0) {
+    const same = document.createElement('div');
+    same.textContent = t.alreadyEquipped;
+    container.appendChild(same);
+    return container;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'equipped-delta-list';
+  delta.swaps.forEach(swap => {
+    const item = document.createElement('li');
+    item.textContent = swap.slot === null
+      ? t.equippedAddLine.replace('{in}', swap.inModule.name)
+      : t.equippedSwapLine
+        .replace('{slot}', swap.slot)
+        .replace('{out}', swap.outModule ? swap.outModule.name : t.emptySlot)
+        .replace('{in}', swap.inModule.name);
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+
+  return container;
+}
+
+// Whether results are compared with a starting loadout picked from the results
+function isManualSwapBase() {
+  return Boolean(lastRunInfo && lastRunInfo.mode === 'swaps' && lastRunInfo.baseSource === 'manual');
+}
+
+// Create a signed, colored score difference
+function createScoreDelta(scoreDelta) {
+  const delta = document.createElement('span');
+  delta.className = `swap-delta ${scoreDelta >= 0 ? 'positive' : 'negative'}`;
+  delta.textContent = `${scoreDelta >= 0 ? '+' : ''}${scoreDelta}`;
+  return delta;
+}
+
+// Show where a result's ability score comes from, attribute by attribute
+function openSolutionDetail(solution, rank) {
+  const t = translations[currentLanguage];
+  const breakdown = solution.powerBreakdown;
+  const fragment = document.createDocumentFragment();
+
+  const heading = document.createElement('h3');
+  heading.className = 'weight-heading';
+  heading.textContent = `${solution.loadoutName || `Rank ${rank}`} · Ability Score: ${Math.round(solution.score)}`;
+  fragment.appendChild(heading);
+
+  const table = document.createElement('table');
+  table.className = 'power-breakdown-table';
+  const headerRow = document.createElement('tr');
+  [t.breakdownAttribute, t.breakdownValue, t.breakdownLevel, t.breakdownLevelPower, t.breakdownTotalShare, t.breakdownPower]
+    .forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+  const thead = document.createElement('thead');
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const addRow = (parent, cells, className = '') => {
+    const row = document.createElement('tr');
+    row.className = className;
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    parent.appendChild(row);
+    return row;
+  };
+
+  const tbody = document.createElement('tbody');
+  breakdown.attributes.forEach(entry => {
+    const row = addRow(tbody, [
+      '',
+      `+${entry.value}`,
+      entry.level > 0 ? `Lv.${entry.level}` : '-',
+      Math.round(entry.thresholdPower),
+      Math.round(entry.totalValueShare),
+      Math.round(entry.power),
+    ], entry.level >= 5 ? 'high-level' : '');
+    const nameCell = row.firstElementChild;
+    nameCell.className = 'power-breakdown-attr';
+    nameCell.appendChild(createOptimizedImage(getAttributeImagePath(entry.attr), entry.attr, 'attr-dist-icon'));
+    nameCell.appendChild(document.createTextNode(entry.attr));
+  });
+  table.appendChild(tbody);
+
+  const tfoot = document.createElement('tfoot');
+  addRow(tfoot, [
+    t.breakdownTotal,
+    `+${breakdown.totalValue}`,
+    '',
+    Math.round(breakdown.thresholdPower),
+    Math.round(breakdown.totalValuePower),
+    Math.round(solution.score),
+  ]);
+  table.appendChild(tfoot);
+  fragment.appendChild(table);
+
+  const note = document.createElement('p');
+  note.className = 'power-breakdown-note';
+  note.textContent = t.breakdownNote
+    .replace('{power}', Math.round(breakdown.totalValuePower))
+    .replace('{value}', breakdown.totalValue);
+  fragment.appendChild(note);
+
+  elements.solutionDetailBody.innerHTML = '';
+  elements.solutionDetailBody.appendChild(fragment);
+  elements.solutionDetailModal.classList.remove('hidden');
+}
+
+function closeSolutionDetail() {
+  elements.solutionDetailModal.classList.add('hidden');
+}
+
 // Legacy function for compatibility (if needed elsewhere)
 function renderResultCard(solution, rank) {
   // This is kept for backward compatibility but should use createResultCardElement instead
@@ -1016,7 +2389,9 @@ function renderTableView() {
   const thead = document.createElement('thead');
   const headerRow = document.createElement('tr');
   
+  const showLevels = lastRunInfo && lastRunInfo.paretoFront && lastRunInfo.paretoAttrs.length > 0;
   const headers = ['Rank', 'Module 1', 'Module 2', 'Module 3', 'Module 4', 'Effects', 'Ability Score'];
+  if (showLevels) headers.push(translations[currentLanguage].priorityLevels);
   headers.forEach(headerText => {
     const th = document.createElement('th');
     th.textContent = headerText;
@@ -1032,12 +2407,13 @@ function renderTableView() {
   filteredResults.forEach((sol, i) => {
     const row = document.createElement('tr');
     const rank = i + 1;
+    row.dataset.rank = rank;
     const totalAttrValue = Object.values(sol.attrBreakdown).reduce((a, b) => a + b, 0);
     
     // Rank column
     const rankCell = document.createElement('td');
     rankCell.className = 'table-rank';
-    rankCell.textContent = rank;
+    rankCell.textContent = sol.loadoutName || rank;
     row.appendChild(rankCell);
     
     // Module columns (1-4)
@@ -1108,7 +2484,26 @@ function renderTableView() {
     const scoreCell = document.createElement('td');
     scoreCell.className = 'table-score';
     scoreCell.textContent = Math.round(sol.score);
+    if (sol.powerBreakdown) {
+      scoreCell.classList.add('clickable');
+      scoreCell.title = translations[currentLanguage].showPowerBreakdown;
+      scoreCell.addEventListener('click', () => openSolutionDetail(sol, rank));
+    }
+    if (sol.equippedDelta) {
+      const delta = createScoreDelta(sol.equippedDelta.scoreDelta);
+      delta.title = isManualSwapBase() ? translations[currentLanguage].vsBase : translations[currentLanguage].vsEquipped;
+      scoreCell.appendChild(delta);
+    }
     row.appendChild(scoreCell);
+
+    // Priority levels column (Pareto front only)
+    if (showLevels) {
+      const levelsCell = document.createElement('td');
+      levelsCell.className = 'table-levels';
+      const levels = getParetoLevels(sol);
+      levelsCell.textContent = lastRunInfo.paretoAttrs.map((attr, j) => `${attr} Lv.${levels[j]}`).join('\n');
+      row.appendChild(levelsCell);
+    }
     
     tbody.appendChild(row);
   });
@@ -1121,14 +2516,110 @@ function renderTableView() {
   elements.resultsContainer.appendChild(fragment);
 }
 
+// Describe the minimum levels that made the last run come back empty
+function getConstraintMessage() {
+  if (!lastRunInfo || !lastRunInfo.unsatisfiedConstraints || lastRunInfo.unsatisfiedConstraints.length === 0) {
+    return '';
+  }
+
+  const t = translations[currentLanguage];
+  if (lastRunInfo.constraintsJointlyInfeasible) {
+    const levels = lastRunInfo.unsatisfiedConstraints.map(c => `${c.attr} Lv.${c.level}`).join(', ');
+    return t.unreachableCombined.replace('{levels}', levels);
+  }
+  return lastRunInfo.unsatisfiedConstraints
+    .map(c => t.unreachableLevel
+      .replace('{attr}', c.attr)
+      .replace('{level}', c.level)
+      .replace('{maxLevel}', c.maxLevel))
+    .join(' ');
+}
+
+// Describe the loadout that could not be filled in the last run
+function getLoadoutMessage() {
+  if (!lastRunInfo || lastRunInfo.mode !== 'loadouts' || lastRunInfo.failedLoadout === undefined) {
+    return '';
+  }
+  return translations[currentLanguage].loadoutFailed.replace('{name}', lastRunInfo.failedLoadout || '');
+}
+
+// Explain why swap mode found nothing in the last run
+function getSwapMessage() {
+  if (!lastRunInfo || lastRunInfo.mode !== 'swaps' || allResults.length > 0) return '';
+  const t = translations[currentLanguage];
+  return lastRunInfo.missingBase ? t.swapBaseMissing : t.noSwapImprovement.replace('{count}', lastRunInfo.maxSwaps);
+}
+
 // Render empty state
 function renderEmptyState() {
   const t = translations[currentLanguage];
-  elements.resultsContainer.innerHTML = `
-    <div class="empty-state">
-      <span>${t.noResults}</span>
-    </div>
-  `;
+  const emptyState = document.createElement('div');
+  emptyState.className = 'empty-state';
+  const message = document.createElement('span');
+  message.textContent = getConstraintMessage() || getLoadoutMessage() || getSwapMessage() || t.noResults;
+  emptyState.appendChild(message);
+
+  elements.resultsContainer.innerHTML = '';
+  elements.resultsContainer.appendChild(emptyState);
+}
+
+// Show which solver produced the current results
+function updateRunInfo() {
+  const t = translations[currentLanguage];
+  updateEquippedInfo();
+  if (lastRunInfo && lastRunInfo.mode === 'loadouts' && lastRunInfo.failedLoadout === undefined) {
+    elements.runInfo.classList.remove('hidden', 'proven');
+    elements.runInfo.textContent = `${t.disjointLoadouts.replace('{count}', lastRunInfo.loadoutCount)} · ${t.seedLabel} ${lastRunInfo.seed}`;
+    elements.runInfo.title = t.seedHint;
+    return;
+  }
+  if (lastRunInfo && lastRunInfo.mode === 'swaps' && !lastRunInfo.missingBase) {
+    elements.runInfo.classList.remove('hidden');
+    elements.runInfo.classList.toggle('proven', lastRunInfo.provenOptimal);
+    const label = lastRunInfo.provenOptimal ? t.provenOptimal : t.heuristicResult;
+    const diversity = lastRunInfo.minDifference > 0 ? ` · ${t.diversityLabel.replace('{count}', lastRunInfo.minDifference)}` : '';
+    elements.runInfo.textContent = `${t.withinSwaps.replace('{count}', lastRunInfo.maxSwaps)}${diversity} · ${label} · ${t.seedLabel} ${lastRunInfo.seed}`;
+    elements.runInfo.title = t.seedHint;
+    return;
+  }
+  if (!lastRunInfo || lastRunInfo.solver === undefined) {
+    elements.runInfo.classList.add('hidden');
+    return;
+  }
+
+  elements.runInfo.classList.remove('hidden');
+  elements.runInfo.classList.toggle('proven', lastRunInfo.provenOptimal);
+  const strategyNames = { ga: t.strategyGa, annealing: t.strategyAnnealing, tabu: t.strategyTabu };
+  const strategies = (lastRunInfo.strategies || []).map(name => strategyNames[name] || name).join(' + ');
+  const label = lastRunInfo.provenOptimal ? t.provenOptimal : `${t.heuristicResult}${strategies ? ` (${strategies})` : ''}`;
+  const profile = [lastRunInfo.classProfile, lastRunInfo.weightProfile].filter(Boolean).map(name => ` · ${name}`).join('');
+  const warmStart = lastRunInfo.warmStart ? ` · ${t.warmStart}` : '';
+  const slots = lastRunInfo.slotCount < 4 ? ` · ${t.slotCountLabel.replace('{count}', lastRunInfo.slotCount)}` : '';
+  const diversity = lastRunInfo.minDifference > 0 ? ` · ${t.diversityLabel.replace('{count}', lastRunInfo.minDifference)}` : '';
+  const budget = lastRunInfo.timeBudgetMs > 0
+    ? ` · ${t.timeBudgetLabel.replace('{seconds}', lastRunInfo.timeBudgetMs / 1000).replace('{count}', lastRunInfo.campaignCount)}`
+    : '';
+  const seed = lastRunInfo.seed !== null ? ` · ${t.seedLabel} ${lastRunInfo.seed}` : '';
+  elements.runInfo.textContent = `${label}${seed}${profile}${slots}${diversity}${budget}${warmStart}`;
+  const pruned = lastRunInfo.prunedCount > 0 ? ` (${lastRunInfo.prunedCount} dominated modules dropped)` : '';
+  elements.runInfo.title = `${lastRunInfo.poolSize} modules${pruned}, ${lastRunInfo.combinationCount} combinations\n` +
+    (lastRunInfo.warmStart ? t.warmStartHint : t.seedHint);
+}
+
+// Show the ability score of the loadout equipped when the data was captured
+function updateEquippedInfo() {
+  const equipped = lastRunInfo && lastRunInfo.equipped;
+  if (!equipped) {
+    elements.equippedInfo.classList.add('hidden');
+    return;
+  }
+
+  const t = translations[currentLanguage];
+  elements.equippedInfo.classList.remove('hidden');
+  elements.equippedInfo.textContent = (isManualSwapBase() ? t.baseScore : t.equippedScore).replace('{score}', equipped.score);
+  elements.equippedInfo.title = equipped.slots
+    .map(({ slot, module }) => t.equippedSlot.replace('{slot}', slot).replace('{name}', module ? module.name : t.emptySlot))
+    .join('\n');
 }
 
 // Apply language translations
@@ -1138,6 +2629,41 @@ function applyLanguage(lang) {
     const key = el.dataset.i18n;
     if (t[key]) el.textContent = t[key];
   });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    const key = el.dataset.i18nPlaceholder;
+    if (t[key]) el.placeholder = t[key];
+  });
+  document.querySelectorAll('[data-i18n-title]').forEach(el => {
+    const key = el.dataset.i18nTitle;
+    if (t[key]) el.title = t[key];
+  });
+  populateWeightProfileSelect();
+  populateClassProfileSelect();
+  updateMinLevelsList();
+  updateLoadoutsList();
+  updateRunInfo();
+  updateGameDataVersion();
+  updateSlotCountOptions();
+  updateMaxSwapsOptions();
+  updateDiversityOptions();
+  updateSwapBaseList();
+}
+
+// Show which game data version is in use, and why a custom file was ignored
+function updateGameDataVersion() {
+  if (!gameDataInfo) return;
+  const t = translations[currentLanguage];
+  const custom = gameDataInfo.source === 'override' ? ` (${t.gameDataOverride})` : '';
+  elements.gameDataVersion.textContent = t.gameDataVersion.replace('{version}', gameDataInfo.version) + custom;
+  elements.gameDataVersion.classList.toggle('warning', gameDataInfo.overrideErrors.length > 0);
+
+  const lines = [gameDataInfo.source === 'override'
+    ? gameDataInfo.overridePath
+    : t.gameDataHint.replace('{path}', gameDataInfo.overridePath)];
+  if (gameDataInfo.overrideErrors.length > 0) {
+    lines.push(t.gameDataIgnored.replace('{errors}', gameDataInfo.overrideErrors.join('\n')));
+  }
+  elements.gameDataVersion.title = lines.join('\n');
 }
 
 // Update instruction text